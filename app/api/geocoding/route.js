@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server'
+import { getGeocodingProvider } from '@/lib/geocoding/geocodingProvider'
+
+const MAX_LIMIT = 10
+
+// Address suggestions for ?q=<text>, at most ?limit= of them, from the
+// geocoding provider configured on the server.
+export async function GET(request) {
+    const params = request.nextUrl.searchParams
+    const query = (params.get('q') || '').trim()
+    const limit = Number(params.get('limit') || 5)
+    if (!query || !Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+        return NextResponse.json(
+            { error: `Expected ?q=<text> and an optional limit up to ${MAX_LIMIT}` },
+            { status: 400 }
+        )
+    }
+
+    try {
+        const suggestions = await getGeocodingProvider().search(query, { limit })
+        return NextResponse.json(suggestions)
+    } catch (error) {
+        console.error('Address search failed:', error)
+        return NextResponse.json({ error: 'Address search failed' }, { status: 502 })
+    }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server'
+import { saveLead } from '@/lib/crm/crmClient'
+
+const isLead = (body) =>
+    typeof body?.NomeModulo === 'string' &&
+    Array.isArray(body.Dati) &&
+    body.Dati.every((item) => typeof item?.Key === 'string')
+
+// Saves a lead built by createCrmLeadAdapter, adding the CRM credentials
+// that only the server knows.
+export async function POST(request) {
+    const lead = await request.json().catch(() => null)
+    if (!isLead(lead)) {
+        return NextResponse.json(
+            { error: 'Expected a lead as { NomeModulo, Provenienza, Dati }' },
+            { status: 400 }
+        )
+    }
+
+    try {
+        const result = await saveLead({
+            ...lead,
+            Provenienza: lead.Provenienza || request.cookies.get('IdOrigin')?.value || '',
+        })
+        return NextResponse.json({ ok: true, result })
+    } catch (error) {
+        console.error('Lead not saved:', error)
+        return NextResponse.json({ error: 'Lead not saved' }, { status: 502 })
+    }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server'
+import {
+    getNewsletterPolicy,
+    getNewsletterProvider,
+    parseSubscription,
+} from '@/lib/newsletter/newsletterProvider'
+
+// Subscribes { email, listIds, attributes } with the newsletter provider; its
+// API key never leaves the server. Which lists may be joined and whether
+// double opt-in applies is the server's call, see getNewsletterPolicy.
+export async function POST(request) {
+    const subscription = parseSubscription(await request.json().catch(() => null))
+    if (!subscription) {
+        return NextResponse.json(
+            { error: 'Expected { email, listIds, attributes }' },
+            { status: 400 }
+        )
+    }
+
+    const policy = getNewsletterPolicy()
+    if (!subscription.listIds.every((id) => policy.listIds.includes(id))) {
+        return NextResponse.json({ error: 'Newsletter list not allowed' }, { status: 403 })
+    }
+
+    try {
+        const result = await getNewsletterProvider().subscribe({
+            ...subscription,
+            doubleOptIn: policy.doubleOptIn,
+        })
+        return NextResponse.json(result)
+    } catch (error) {
+        console.error('Newsletter subscription failed:', error)
+        return NextResponse.json({ error: 'Newsletter subscription failed' }, { status: 502 })
+    }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server'
+import { ITALY_ID, getProvinces } from '@/lib/crm/crmClient'
+
+// Provinces of a country (Italy unless ?country=<CRM country id>), read from
+// the CRM with the server's token. They rarely change, so browsers and
+// proxies may keep them for an hour.
+export async function GET(request) {
+    const country = Number(request.nextUrl.searchParams.get('country') || ITALY_ID)
+    if (!Number.isInteger(country) || country <= 0) {
+        return NextResponse.json({ error: 'country must be a CRM country id' }, { status: 400 })
+    }
+
+    try {
+        const provinces = await getProvinces(country)
+        return NextResponse.json(provinces || [], {
+            headers: { 'Cache-Control': 'public, max-age=3600' },
+        })
+    } catch (error) {
+        console.error('Provinces not loaded:', error)
+        return NextResponse.json({ error: 'Provinces not loaded' }, { status: 502 })
+    }
+}
@@ -0,0 +1,14 @@
+import FormBuilder from '@/components/formBuilder/FormBuilder'
+
+export const metadata = {
+    title: 'Form builder',
+}
+
+export default function BuilderPage() {
+    return (
+        <main className="min-h-screen bg-background">
+            <h1 className="px-5 pt-10 text-2xl font-semibold text-foreground md:px-10">Form builder</h1>
+            <FormBuilder />
+        </main>
+    )
+}
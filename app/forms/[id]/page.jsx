@@ -0,0 +1,31 @@
+import { notFound } from 'next/navigation'
+import ReusableForm from '@/components/formComponent/ReusableForm'
+import { listFormDefinitionIds, loadFormDefinition } from '@/lib/formDefinitions'
+
+// Every definition in lib/json/forms gets a page at /forms/<id>.
+export async function generateStaticParams() {
+    const ids = await listFormDefinitionIds()
+    return ids.map((id) => ({ id }))
+}
+
+export async function generateMetadata({ params }) {
+    const definition = await loadFormDefinition(params.id)
+    return { title: definition?.title }
+}
+
+export default async function FormPage({ params }) {
+    const definition = await loadFormDefinition(params.id)
+    if (!definition) notFound()
+
+    return (
+        <main className="mx-auto max-w-2xl py-10">
+            {definition.title && (
+                <h1 className="px-5 text-2xl font-semibold md:px-10">{definition.title}</h1>
+            )}
+            {definition.description && (
+                <p className="mt-2 px-5 text-gray-600 md:px-10">{definition.description}</p>
+            )}
+            <ReusableForm definition={definition} />
+        </main>
+    )
+}
@@ -1,9 +1,16 @@
 import './globals.css';
+import { ThemeProvider } from 'next-themes';
+import AttributionTracker from '@/components/AttributionTracker';
+
 export default function RootLayout({children,}) {
   return (
-    <html lang="it">
+    // next-themes sets the "dark" class on <html> before hydration.
+    <html lang="it" suppressHydrationWarning>
       <body className={""}>
-        {children}
+        <ThemeProvider attribute="class" defaultTheme="system" enableSystem>
+          <AttributionTracker />
+          {children}
+        </ThemeProvider>
     </body>
     </html>
   );
@@ -1,99 +1,128 @@
 'use client'
 
+import { useTheme } from 'next-themes'
 import ReusableForm from '@/components/formComponent/ReusableForm'
-import { schema } from '@/components/formComponent/formSchema'
 
-export default function Home() {
-    const fields = [
-        {
-            name: "name",
-            label: "Name",
-            type: "text",
-        },
-        {
-            name: "email",
-            label: "Email",
-            type: "email",
-        },
-        {
-            name: "password",
-            label: "Password",
-            type: "password",
-        },
-        {
-            name: "birthdate",
-            label: "Date of Birth",
-            type: "date"
-        },
-        {
-            name: "phone",
-            label: "Phone",
-            type: "text"
-        },
-        {
-            name: "bio",
-            label: "Short Bio",
-            type: "textarea",
-        },
-        {
-            name: "rating",
-            label: "Rate your experience",
-            type: "rating",
-            max: 5 // how many stars
+const fields = [
+    {
+        name: "name",
+        label: "Name",
+        type: "text",
+        validation: { required: "Name is required" }
+    },
+    {
+        name: "email",
+        label: "Email",
+        type: "email",
+        validation: { required: "Email is required", email: "Invalid email" }
+    },
+    {
+        name: "password",
+        label: "Password",
+        type: "password",
+        validation: {
+            required: "Password is required",
+            min: { value: 6, message: "At least 6 characters" }
+        }
+    },
+    {
+        name: "birthdate",
+        label: "Date of Birth",
+        type: "date",
+        validation: { required: "Date is required" }
+    },
+    {
+        name: "phone",
+        label: "Phone",
+        type: "phone",
+        validation: { required: "Phone is required" }
+    },
+    {
+        name: "bio",
+        label: "Short Bio",
+        type: "textarea",
+        validation: { max: { value: 500, message: "Max 500 characters" } }
+    },
+    {
+        name: "rating",
+        label: "Rate your experience",
+        type: "rating",
+        max: 5, // how many stars
+        validation: {
+            required: "Rating is required",
+            min: { value: 1, message: "Please select a rating" }
+        }
+    },
+    {
+        name: "profilePicture",
+        label: "Upload Profile Picture",
+        type: "file",
+        accept: "image/*",
+        maxSize: 5 * 1024 * 1024,
+        validation: { required: "File is required" }
+    },
+    {
+        name: "gender",
+        label: "Gender",
+        type: "radio",
+        options: [
+            { value: "male", label: "Male" },
+            { value: "female", label: "Female" }
+        ],
+        validation: { required: "Gender is required" }
+    },
+    {
+        name: "newsletter",
+        label: "Subscribe to newsletter",
+        type: "checkbox",
+        validation: { required: "You must accept the newsletter" }
+    },
+    {
+        name: "country",
+        label: "Country",
+        type: "select",
+        options: [
+            { value: "", label: "Select..." },
+            { value: "us", label: "USA" },
+            { value: "uk", label: "UK" },
+            { value: "it", label: "Italy" },
+            { value: "other", label: "Other..." }
+        ],
+        validation: { required: "Country is required" }
+    },
+    {
+        name: "customCountry",
+        label: "Specify Country",
+        type: "text",
+        conditional: {
+          field: "country",
+          value: "other"
         },
-        {
-            name: "profilePicture",
-            label: "Upload Profile Picture",
-            type: "file"
-        },
-        {
-            name: "gender",
-            label: "Gender",
-            type: "radio",
-            options: [
-                { value: "male", label: "Male" },
-                { value: "female", label: "Female" }
-            ]
-        },
-        {
-            name: "newsletter",
-            label: "Subscribe to newsletter",
-            type: "checkbox"
-        },
-        {
-            name: "country",
-            label: "Country",
-            type: "select",
-            options: [
-                { value: "", label: "Select..." },
-                { value: "us", label: "USA" },
-                { value: "uk", label: "UK" },
-                { value: "it", label: "Italy" },
-                { value: "other", label: "Other..." }
-            ]
-        },
-        {
-            name: "customCountry",
-            label: "Specify Country",
-            type: "text",
-            conditional: {
-              field: "country",
-              value: "other"
-            }
-          }
-      ];
-    
-      const handleSubmit = (data) => {
+        validation: { required: "Please specify your country" }
+    }
+];
+
+export default function Home() {
+    const { resolvedTheme, setTheme } = useTheme();
+
+    const handleSubmit = (data) => {
         console.log("Form submitted:", data);
-      };
+    };
 
     return (
         <>
-            <div className="bg-stone-400 w-full flex justify-center items-center py-10">
-                <div className='bg-slate-200 rounded-xl w-full mx-5 md:w-1/2 xl:w-1/3'>
-                    <ReusableForm fields={fields} onSubmit={handleSubmit} schema={schema} />
+            <div className="bg-stone-400 w-full flex flex-col justify-center items-center gap-4 py-10">
+                <button
+                    type="button"
+                    onClick={() => setTheme(resolvedTheme === "dark" ? "light" : "dark")}
+                    className="rounded-lg bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm"
+                >
+                    Toggle dark mode
+                </button>
+                <div className='rounded-xl overflow-hidden w-full mx-5 md:w-1/2 xl:w-1/3'>
+                    <ReusableForm fields={fields} onSubmit={handleSubmit} theme="system" />
                 </div>
             </div>
         </>
     );
-}
\ No newline at end of file
+}
@@ -0,0 +1,15 @@
+'use client'
+
+import { useEffect } from 'react';
+import { captureAttribution } from '@/lib/attribution';
+
+// Records where the visitor came from (UTM parameters, click ids, referrer)
+// so forms can submit it. Runs once per page load: client-side navigation
+// keeps the landing page's referrer, which would count it again.
+export default function AttributionTracker() {
+  useEffect(() => {
+    captureAttribution();
+  }, []);
+
+  return null;
+}
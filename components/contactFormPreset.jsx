@@ -0,0 +1,164 @@
+import Link from 'next/link';
+import { createCrmLeadAdapter } from '@/lib/crm/leadAdapter';
+import { getLegalText } from '@/lib/legalTexts';
+import { cn } from '@/lib/utils';
+
+// Turns ContactForm's props (a boolean per field plus its *Text, *Class and
+// *Required props) into ReusableForm props. Field names match
+// CONTACT_FORM_LEAD_MAPPING, so leads reach the CRM as they always did.
+
+const REQUIRED = 'Questo campo è obbligatorio';
+
+const requiredIf = (required, message = REQUIRED) => (required ? { required: message } : {});
+
+// Pages pass the ids of their old privacy texts, which lib/legalTexts.js may
+// not have. Those show the default text rather than breaking the form.
+const legalTextId = (id, fallback) => {
+  if (!id || getLegalText(id)) return id || fallback;
+  if (process.env.NODE_ENV !== 'production') {
+    console.warn(`ContactForm: unknown legal text "${id}", showing "${fallback}" instead`);
+  }
+  return fallback;
+};
+
+// The CRM token stays on the server; /api/provinces uses it for us.
+const loadProvinces = async ({ signal }) => {
+  const response = await fetch('/api/provinces/', { signal });
+  if (!response.ok) throw new Error(`Provinces not loaded (${response.status})`);
+  const provinces = await response.json();
+  return [
+    { value: '', label: 'Seleziona la tua provincia' },
+    ...provinces.map((province) => ({ value: province.Provincia, label: province.Provincia })),
+  ];
+};
+
+const buildFields = (props) => [
+  props.Name && {
+    name: 'nome_cognome',
+    label: props.NameText,
+    labelClassName: props.NameClass,
+    type: 'text',
+    validation: requiredIf(props.NameRequired, 'Il nome e cognome è obbligatorio'),
+  },
+  props.Tel && {
+    name: 'telefono',
+    label: props.TelText,
+    labelClassName: props.TelClass,
+    type: 'phone',
+    validation: requiredIf(props.TelRequired, 'Il telefono è obbligatorio'),
+  },
+  props.Email && {
+    name: 'email',
+    label: props.EmailText,
+    labelClassName: props.EmailClass,
+    type: 'email',
+    validation: {
+      ...requiredIf(props.EmailRequired, 'La email è obbligatoria'),
+      email: 'Per favore inserisca una email valida',
+    },
+  },
+  props.provincia && {
+    name: 'provincia',
+    label: props.provinciaText,
+    labelClassName: props.provinciaClass,
+    type: 'select',
+    loadOptions: loadProvinces,
+    validation: { required: REQUIRED },
+  },
+  props.location && {
+    name: 'zona_provenienza',
+    label: props.locationText,
+    labelClassName: props.locationClass,
+    type: 'address',
+  },
+  props.Dropdown && {
+    name: 'interesse',
+    label: props.DropdownText,
+    labelClassName: props.DropdownClass,
+    type: 'select',
+    options: (props.DropdownItem || []).map((item) => ({ value: item, label: item })),
+    validation: requiredIf(props.DropdownRequired),
+  },
+  props.textBox && {
+    name: 'textbox',
+    label: props.textBoxText,
+    labelClassName: props.textBoxClass,
+    type: 'text',
+    validation: requiredIf(props.MessageTextRequired),
+  },
+  ...(props.vote
+    ? [
+        {
+          name: 'valutazione',
+          label: props.voteText,
+          labelClassName: props.voteClass,
+          type: 'rating',
+        },
+        {
+          name: 'recensione',
+          type: 'textarea',
+          validation: requiredIf(props.MessageTextRequired),
+        },
+      ]
+    : []),
+  props.Message && {
+    name: 'free_text',
+    label: props.MessageText,
+    labelClassName: props.MessageClass,
+    type: 'textarea',
+    validation: requiredIf(props.MessageTextRequired),
+  },
+  props.ConsensoDati && {
+    name: 'consenso_dati',
+    label: props.ConsensoDatiText,
+    labelClassName: props.ConsensoDatiClass,
+    type: 'consent',
+    text: legalTextId(props.ConsensoDatiID, 'privacy'),
+    validation: requiredIf(props.ConsensoDatiRequired),
+  },
+  props.Newsletter && {
+    name: 'news_letter',
+    label: props.NewsletterText,
+    labelClassName: props.NewsLetterClass,
+    type: 'consent',
+    text: legalTextId(props.NewsletterConsentID, 'newsletter'),
+    newsletter: {
+      listIds: [Number(props.NewsletterID)],
+      attributes: props.NewsletterAttributes,
+    },
+    validation: requiredIf(props.NewsletterRequired),
+  },
+].filter(Boolean);
+
+export const contactFormPreset = (props) => ({
+  id: 'contactForm',
+  locale: 'it',
+  fields: buildFields(props),
+  // Leads go through a submit adapter, the CRM one unless the page passes
+  // another (e.g. createMockSubmitAdapter() during development). Without an
+  // origin, the route reads the IdOrigin cookie.
+  submitAdapter: props.submitAdapter || createCrmLeadAdapter({ formName: props.LandingName }),
+  attribution: true,
+  resetOnSuccess: true,
+  submitText: props.SendText,
+  submittingText: 'Caricamento...',
+  // The ids are the old popup's, which tracking tags look for.
+  renderSuccess: () => (
+    <div id="FormCompilato">
+      <p>{props.successText}</p>
+      {props.successLink && (
+        <Link id="formSuccesso" href={props.successLink} className="mt-2 inline-block font-semibold underline">
+          Prosegui
+        </Link>
+      )}
+    </div>
+  ),
+  renderError: () => <p id="ErroreForm">{props.errorText}</p>,
+  // Labels take the page's text color, like the old form's did.
+  classNames: {
+    label: 'text-inherit',
+    input: 'bg-neutral-800 text-slate-50',
+    error: 'text-red-500',
+    button: cn('mt-10 uppercase transition duration-300 ease-in-out', props.SendClass),
+  },
+});
@@ -0,0 +1,111 @@
+"use client";
+
+import { useState } from "react";
+import { cn } from "@/lib/utils";
+import { fieldTitle } from "./builderFields";
+import { FIELD_TYPE_MIME } from "./FieldPalette";
+
+const FIELD_INDEX_MIME = "application/x-form-builder-index";
+
+// The fields in form order. A palette type dropped on an item is inserted
+// before it, an item dragged onto another moves there; drops on the empty
+// space below append. Buttons do the same for keyboard users.
+export default function BuilderCanvas({ fields, selected, onSelect, onInsert, onMove, onRemove }) {
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const handleDrop = (event, index) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDropTarget(null);
+    const type = event.dataTransfer.getData(FIELD_TYPE_MIME);
+    const from = event.dataTransfer.getData(FIELD_INDEX_MIME);
+    if (type) onInsert(type, index);
+    // Moving down, the item's own slot disappears before the target.
+    else if (from !== "") onMove(Number(from), Number(from) < index ? index - 1 : index);
+  };
+
+  const allowDrop = (event, index) => {
+    event.preventDefault();
+    setDropTarget(index);
+  };
+
+  return (
+    <div
+      onDragOver={(event) => allowDrop(event, fields.length)}
+      onDragLeave={() => setDropTarget(null)}
+      onDrop={(event) => handleDrop(event, fields.length)}
+      className={cn(
+        "min-h-[12rem] rounded-md border-2 border-dashed p-3",
+        dropTarget === fields.length ? "border-ring bg-accent" : "border-border"
+      )}
+    >
+      {fields.length === 0 && (
+        <p className="py-10 text-center text-sm text-muted-foreground">
+          Drag field types here, or click them to add.
+        </p>
+      )}
+
+      <ol aria-label="Form fields" className="space-y-2">
+        {fields.map((field, index) => (
+          <li
+            key={index}
+            draggable
+            onDragStart={(event) => {
+              event.dataTransfer.setData(FIELD_INDEX_MIME, String(index));
+              event.dataTransfer.effectAllowed = "move";
+            }}
+            onDragOver={(event) => {
+              event.stopPropagation();
+              allowDrop(event, index);
+            }}
+            onDrop={(event) => handleDrop(event, index)}
+            className={cn(
+              "flex items-center gap-2 rounded-md border bg-background px-3 py-2 text-sm",
+              selected === index ? "border-ring ring-2 ring-ring" : "border-border",
+              dropTarget === index && "border-t-4 border-t-ring"
+            )}
+          >
+            <button
+              type="button"
+              onClick={() => onSelect(index)}
+              aria-pressed={selected === index}
+              className="min-w-0 flex-1 truncate text-left text-foreground"
+            >
+              {fieldTitle(field)}
+              <span className="ml-2 text-xs text-muted-foreground">
+                {field.type}
+                {field.name && ` · ${field.name}`}
+              </span>
+            </button>
+            <button
+              type="button"
+              onClick={() => onMove(index, index - 1)}
+              disabled={index === 0}
+              aria-label={`Move ${fieldTitle(field)} up`}
+              className="px-1 text-muted-foreground hover:text-foreground disabled:opacity-30"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => onMove(index, index + 1)}
+              disabled={index === fields.length - 1}
+              aria-label={`Move ${fieldTitle(field)} down`}
+              className="px-1 text-muted-foreground hover:text-foreground disabled:opacity-30"
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              onClick={() => onRemove(index)}
+              aria-label={`Remove ${fieldTitle(field)}`}
+              className="px-1 text-muted-foreground hover:text-destructive"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,351 @@
+"use client";
+
+import { useId } from "react";
+import { CONDITION_OPERATORS } from "../formComponent/conditions";
+import { listFieldTypes } from "../formComponent/fieldRegistry";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { listLegalTexts } from "@/lib/legalTexts";
+import { DEFAULT_PHONE_COUNTRY, listPhoneCountries } from "@/lib/phone";
+import { INPUT_TYPES, OPTION_TYPES, changeFieldType, compact } from "./builderFields";
+
+const inputClassName =
+  "block w-full rounded-md border border-input bg-background px-3 py-1.5 text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-ring";
+const labelClassName = "mb-1 block text-xs font-medium text-muted-foreground";
+const smallButtonClassName =
+  "rounded-md border border-input px-2 py-1 text-xs text-foreground hover:bg-accent";
+
+// Radix Select has no empty value, so "no condition" is a name that can't be
+// a field's.
+const ALWAYS = "-";
+const VALUELESS_OPERATORS = ["isEmpty", "isNotEmpty"];
+
+function TextSetting({ label, value, onChange, multiline = false, type = "text" }) {
+  const id = useId();
+  const Input = multiline ? "textarea" : "input";
+  return (
+    <div>
+      <label htmlFor={id} className={labelClassName}>
+        {label}
+      </label>
+      <Input
+        id={id}
+        type={multiline ? undefined : type}
+        rows={multiline ? 3 : undefined}
+        value={value ?? ""}
+        onChange={(event) => onChange(event.target.value)}
+        className={inputClassName}
+      />
+    </div>
+  );
+}
+
+function CheckSetting({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-foreground">
+      <input
+        type="checkbox"
+        checked={Boolean(checked)}
+        onChange={(event) => onChange(event.target.checked)}
+      />
+      {label}
+    </label>
+  );
+}
+
+function SelectSetting({ label, value, onChange, items }) {
+  const id = useId();
+  return (
+    <div>
+      <label id={id} className={labelClassName}>
+        {label}
+      </label>
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger aria-labelledby={id} className="h-9">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {items.map((item) => (
+            <SelectItem key={item.value} value={item.value}>
+              {item.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+function OptionsEditor({ options = [], onChange }) {
+  const update = (index, patch) =>
+    onChange(options.map((option, current) => (current === index ? { ...option, ...patch } : option)));
+
+  return (
+    <fieldset className="space-y-2">
+      <legend className={labelClassName}>Options</legend>
+      {options.map((option, index) => (
+        <div key={index} className="flex gap-2">
+          <input
+            aria-label={`Option ${index + 1} value`}
+            placeholder="value"
+            value={option.value}
+            onChange={(event) => update(index, { value: event.target.value })}
+            className={inputClassName}
+          />
+          <input
+            aria-label={`Option ${index + 1} label`}
+            placeholder="label"
+            value={option.label}
+            onChange={(event) => update(index, { label: event.target.value })}
+            className={inputClassName}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(options.filter((_, current) => current !== index))}
+            aria-label={`Remove option ${index + 1}`}
+            className={smallButtonClassName}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() =>
+          onChange([
+            ...options,
+            { value: `option${options.length + 1}`, label: `Option ${options.length + 1}` },
+          ])
+        }
+        className={smallButtonClassName}
+      >
+        Add option
+      </button>
+    </fieldset>
+  );
+}
+
+// Edits a single { field, operator, value } condition; combined ones
+// (and/or/not) are left to the JSON.
+function ConditionEditor({ condition, fieldNames, onChange }) {
+  if (condition && !condition.field) {
+    return (
+      <p className="text-xs text-muted-foreground">
+        This field has a combined condition; edit it in the JSON.
+      </p>
+    );
+  }
+
+  const operator = condition?.operator || "equals";
+  return (
+    <fieldset className="space-y-2">
+      <legend className={labelClassName}>Visibility</legend>
+      <SelectSetting
+        label="Show only when"
+        value={condition?.field || ALWAYS}
+        onChange={(field) =>
+          onChange(field === ALWAYS ? undefined : { ...condition, field, operator })
+        }
+        items={[
+          { value: ALWAYS, label: "Always shown" },
+          ...fieldNames.map((name) => ({ value: name, label: name })),
+        ]}
+      />
+      {condition && (
+        <>
+          <SelectSetting
+            label="Operator"
+            value={operator}
+            onChange={(value) => onChange(compact({ ...condition, operator: value }))}
+            items={CONDITION_OPERATORS.map((name) => ({ value: name, label: name }))}
+          />
+          {!VALUELESS_OPERATORS.includes(operator) && (
+            <TextSetting
+              label="Value"
+              value={condition.value}
+              onChange={(value) => onChange({ ...condition, value })}
+            />
+          )}
+        </>
+      )}
+    </fieldset>
+  );
+}
+
+// A rule is stored as the bare value while it has no custom message, and as
+// { value, message } once it has one.
+const ruleValue = (rule) => (rule !== null && typeof rule === "object" ? rule.value : rule);
+const ruleMessage = (rule) => (rule !== null && typeof rule === "object" ? rule.message : "");
+const toRule = (value, message) => (message ? { value, message } : value);
+
+function ValidationEditor({ field, onChange }) {
+  const validation = field.validation || {};
+  const set = (key, rule) => {
+    const next = compact({ ...validation, [key]: rule });
+    onChange(Object.keys(next).length > 0 ? next : undefined);
+  };
+  const setNumber = (key) => (value) =>
+    set(key, value === "" ? undefined : toRule(Number(value), ruleMessage(validation[key])));
+  const isText = INPUT_TYPES.includes(field.type) && field.type !== "date";
+
+  return (
+    <fieldset className="space-y-2">
+      <legend className={labelClassName}>Validation</legend>
+      <CheckSetting
+        label="Required"
+        checked={validation.required}
+        onChange={(checked) => set("required", checked || undefined)}
+      />
+      {validation.required && (
+        <TextSetting
+          label="Required message"
+          value={typeof validation.required === "string" ? validation.required : ""}
+          onChange={(message) => set("required", message || true)}
+        />
+      )}
+      {field.type === "email" && (
+        <CheckSetting
+          label="Must be an email address"
+          checked={validation.email}
+          onChange={(checked) => set("email", checked || undefined)}
+        />
+      )}
+      {(isText || field.type === "rating") && (
+        <div className="grid grid-cols-2 gap-2">
+          <TextSetting
+            label={isText ? "Min length" : "Min"}
+            type="number"
+            value={ruleValue(validation.min)}
+            onChange={setNumber("min")}
+          />
+          <TextSetting
+            label={isText ? "Max length" : "Max"}
+            type="number"
+            value={ruleValue(validation.max)}
+            onChange={setNumber("max")}
+          />
+        </div>
+      )}
+      {isText && (
+        <>
+          <TextSetting
+            label="Pattern (regular expression)"
+            value={ruleValue(validation.pattern)}
+            onChange={(source) =>
+              set("pattern", source ? toRule(source, ruleMessage(validation.pattern)) : undefined)
+            }
+          />
+          {validation.pattern && (
+            <TextSetting
+              label="Pattern message"
+              value={ruleMessage(validation.pattern)}
+              onChange={(message) => set("pattern", toRule(ruleValue(validation.pattern), message))}
+            />
+          )}
+        </>
+      )}
+    </fieldset>
+  );
+}
+
+// Side panel for the selected field. Everything it can't edit (nested
+// fields, rules, layout) is kept as is and can be changed in the JSON.
+export default function FieldEditor({ field, fields, onChange }) {
+  const set = (key) => (value) => onChange(compact({ ...field, [key]: value }));
+  // Cleared names and labels stay, so the definition reports them missing.
+  const setKept = (key) => (value) => onChange({ ...field, [key]: value });
+  const fieldNames = fields
+    .filter((item) => item !== field && item.name)
+    .map((item) => item.name);
+  const types = [...listFieldTypes(), "section"];
+
+  return (
+    <div className="space-y-4">
+      <SelectSetting
+        label="Type"
+        value={field.type}
+        onChange={(type) => onChange(changeFieldType(field, type, fields))}
+        items={types.map((type) => ({ value: type, label: type }))}
+      />
+
+      {field.type === "section" && (
+        <>
+          <TextSetting label="Title" value={field.title} onChange={set("title")} />
+          <TextSetting
+            label="Description"
+            value={field.description}
+            onChange={set("description")}
+          />
+          <CheckSetting
+            label="Collapsible"
+            checked={field.collapsible}
+            onChange={set("collapsible")}
+          />
+        </>
+      )}
+
+      {field.type === "content" && (
+        <TextSetting label="Text" value={field.content} onChange={set("content")} multiline />
+      )}
+
+      {field.name !== undefined && (
+        <>
+          <TextSetting label="Name" value={field.name} onChange={setKept("name")} />
+          <TextSetting label="Label" value={field.label} onChange={setKept("label")} />
+        </>
+      )}
+
+      {INPUT_TYPES.includes(field.type) && field.type !== "date" && (
+        <TextSetting label="Placeholder" value={field.placeholder} onChange={set("placeholder")} />
+      )}
+
+      {field.type === "hidden" && typeof field.value !== "object" && (
+        <TextSetting label="Value" value={field.value} onChange={setKept("value")} />
+      )}
+
+      {field.type === "computed" && (
+        <CheckSetting label="Show read-only" checked={field.display} onChange={set("display")} />
+      )}
+
+      {field.type === "consent" && (
+        <SelectSetting
+          label="Legal text"
+          value={field.text}
+          onChange={(text) => onChange(compact({ ...field, text, version: undefined }))}
+          items={listLegalTexts().map(({ id, title }) => ({ value: id, label: title }))}
+        />
+      )}
+
+      {field.type === "phone" && (
+        <SelectSetting
+          label="Default country"
+          value={field.defaultCountry || DEFAULT_PHONE_COUNTRY}
+          onChange={set("defaultCountry")}
+          items={listPhoneCountries().map(({ code, dialCode }) => ({
+            value: code,
+            label: `${code} +${dialCode}`,
+          }))}
+        />
+      )}
+
+      {OPTION_TYPES.includes(field.type) && (
+        <OptionsEditor options={field.options} onChange={set("options")} />
+      )}
+
+      {field.type !== "divider" && (
+        <ConditionEditor
+          condition={field.conditional}
+          fieldNames={fieldNames}
+          onChange={set("conditional")}
+        />
+      )}
+
+      {field.name !== undefined && <ValidationEditor field={field} onChange={set("validation")} />}
+    </div>
+  );
+}
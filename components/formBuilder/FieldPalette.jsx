@@ -0,0 +1,36 @@
+"use client";
+
+import { listFieldTypes } from "../formComponent/fieldRegistry";
+
+export const FIELD_TYPE_MIME = "application/x-form-builder-type";
+
+// Every registered type plus sections. Types can be dragged onto the canvas,
+// or clicked to add them at the end.
+export default function FieldPalette({ onAdd }) {
+  const types = [...listFieldTypes(), "section"];
+
+  return (
+    <div>
+      <h2 className="mb-2 text-sm font-semibold text-foreground">Field types</h2>
+      <ul className="grid grid-cols-2 gap-2">
+        {types.map((type) => (
+          <li key={type}>
+            <button
+              type="button"
+              draggable
+              onDragStart={(event) => {
+                event.dataTransfer.setData(FIELD_TYPE_MIME, type);
+                event.dataTransfer.effectAllowed = "copy";
+              }}
+              onClick={() => onAdd(type)}
+              aria-label={`Add ${type} field`}
+              className="w-full cursor-grab rounded-md border border-border bg-background px-2 py-1.5 text-left text-sm text-foreground hover:bg-accent"
+            >
+              {type}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+"use client";
+
+import { useState } from "react";
+import ReusableForm from "../formComponent/ReusableForm";
+import { validateDefinition } from "../formComponent/definition";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import BuilderCanvas from "./BuilderCanvas";
+import { compact, createDefinition, createField, moveItem } from "./builderFields";
+import FieldEditor from "./FieldEditor";
+import FieldPalette from "./FieldPalette";
+import ImportDialog from "./ImportDialog";
+
+const inputClassName =
+  "block w-full rounded-md border border-input bg-background px-3 py-1.5 text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-ring";
+const buttonClassName =
+  "rounded-md border border-input bg-background px-3 py-1.5 text-sm font-medium text-foreground hover:bg-accent";
+
+// Builds a JSON form definition (see definition.js): fields are added from
+// the palette, arranged on the canvas and edited in the side panel, while
+// the preview renders the definition with ReusableForm as it is.
+export default function FormBuilder({ initialDefinition = createDefinition() }) {
+  const [definition, setDefinition] = useState(initialDefinition);
+  const [selected, setSelected] = useState(null);
+  const [previewData, setPreviewData] = useState(null);
+  const { fields } = definition;
+
+  const update = (patch) => {
+    setDefinition((current) => ({ ...current, ...patch }));
+    setPreviewData(null);
+  };
+
+  const insertField = (type, index = fields.length) => {
+    update({
+      fields: [...fields.slice(0, index), createField(type, fields), ...fields.slice(index)],
+    });
+    setSelected(index);
+  };
+
+  const moveField = (from, to) => {
+    if (to < 0 || to >= fields.length || from === to) return;
+    update({ fields: moveItem(fields, from, to) });
+    if (selected !== null) {
+      setSelected(moveItem(fields.map((_, index) => index), from, to).indexOf(selected));
+    }
+  };
+
+  const removeField = (index) => {
+    update({ fields: fields.filter((_, current) => current !== index) });
+    setSelected(null);
+  };
+
+  const changeField = (field) =>
+    update({ fields: fields.map((item, current) => (current === selected ? field : item)) });
+
+  const setSubmitUrl = (url) => {
+    const submit = compact({ ...definition.submit, url });
+    update({ submit: submit.url ? submit : undefined });
+  };
+
+  const json = JSON.stringify(definition, null, 2);
+  const { valid, errors } = validateDefinition(definition);
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${definition.id || "form"}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="grid gap-6 p-5 text-foreground lg:grid-cols-[14rem_1fr_20rem] md:p-10">
+      <div className="flex flex-wrap items-end gap-4 lg:col-span-3">
+        <div>
+          <label htmlFor="builder-title" className="mb-1 block text-xs font-medium text-muted-foreground">
+            Title
+          </label>
+          <input
+            id="builder-title"
+            value={definition.title || ""}
+            onChange={(event) => update({ title: event.target.value || undefined })}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="builder-id" className="mb-1 block text-xs font-medium text-muted-foreground">
+            Id
+          </label>
+          <input
+            id="builder-id"
+            value={definition.id}
+            onChange={(event) => update({ id: event.target.value })}
+            className={inputClassName}
+          />
+        </div>
+        <div className="min-w-[16rem] flex-1">
+          <label htmlFor="builder-submit" className="mb-1 block text-xs font-medium text-muted-foreground">
+            Submit URL
+          </label>
+          <input
+            id="builder-submit"
+            value={definition.submit?.url || ""}
+            onChange={(event) => setSubmitUrl(event.target.value)}
+            placeholder="/api/leads"
+            className={inputClassName}
+          />
+        </div>
+        <ImportDialog
+          onImport={(imported) => {
+            setDefinition(imported);
+            setSelected(null);
+            setPreviewData(null);
+          }}
+          triggerClassName={buttonClassName}
+        />
+        <button type="button" onClick={download} className={buttonClassName}>
+          Export JSON
+        </button>
+      </div>
+
+      <FieldPalette onAdd={(type) => insertField(type)} />
+
+      <div className="space-y-6">
+        <BuilderCanvas
+          fields={fields}
+          selected={selected}
+          onSelect={setSelected}
+          onInsert={insertField}
+          onMove={moveField}
+          onRemove={removeField}
+        />
+
+        <Tabs defaultValue="preview">
+          <TabsList>
+            <TabsTrigger value="preview">Preview</TabsTrigger>
+            <TabsTrigger value="json">JSON</TabsTrigger>
+          </TabsList>
+          <TabsContent value="preview" className="rounded-md border border-border">
+            {fields.length === 0 ? (
+              <p className="p-5 text-sm text-muted-foreground">Add fields to see a preview.</p>
+            ) : valid ? (
+              <>
+                <ReusableForm
+                  // Remounted on every change, so values of removed or
+                  // renamed fields don't linger in the preview.
+                  key={json}
+                  definition={definition}
+                  // The preview never posts to the submit URL.
+                  onSubmit={setPreviewData}
+                  successText="Submitted, the values are shown below."
+                />
+                {previewData && (
+                  <pre className="overflow-auto border-t border-border p-5 text-xs">
+                    {JSON.stringify(previewData, null, 2)}
+                  </pre>
+                )}
+              </>
+            ) : (
+              <ul role="status" className="list-disc space-y-1 p-5 pl-10 text-sm text-destructive">
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+          </TabsContent>
+          <TabsContent value="json">
+            <pre className="max-h-[32rem] overflow-auto rounded-md border border-border p-4 text-xs">
+              {json}
+            </pre>
+          </TabsContent>
+        </Tabs>
+      </div>
+
+      <aside aria-label="Field settings" className="rounded-md border border-border p-4">
+        {selected !== null && fields[selected] ? (
+          <FieldEditor field={fields[selected]} fields={fields} onChange={changeField} />
+        ) : (
+          <p className="text-sm text-muted-foreground">Select a field to edit its settings.</p>
+        )}
+      </aside>
+    </div>
+  );
+}
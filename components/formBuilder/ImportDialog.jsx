@@ -0,0 +1,100 @@
+"use client";
+
+import { useId, useState } from "react";
+import { validateDefinition } from "../formComponent/definition";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+
+// Takes a definition pasted in or read from a .json file. Nothing replaces
+// the form being built until the definition validates.
+export default function ImportDialog({ onImport, triggerClassName }) {
+  const [open, setOpen] = useState(false);
+  const [source, setSource] = useState("");
+  const [errors, setErrors] = useState([]);
+  const sourceId = useId();
+
+  const handleOpenChange = (next) => {
+    setOpen(next);
+    if (!next) {
+      setSource("");
+      setErrors([]);
+    }
+  };
+
+  const handleImport = () => {
+    let definition;
+    try {
+      definition = JSON.parse(source);
+    } catch (error) {
+      setErrors([`Not valid JSON: ${error.message}`]);
+      return;
+    }
+    const result = validateDefinition(definition);
+    if (!result.valid) {
+      setErrors(result.errors);
+      return;
+    }
+    onImport(definition);
+    handleOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <button type="button" className={triggerClassName}>
+          Import JSON
+        </button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Import a form definition</DialogTitle>
+          <DialogDescription>
+            Paste a definition or pick a .json file. It replaces the form being built.
+          </DialogDescription>
+        </DialogHeader>
+
+        <input
+          type="file"
+          accept=".json,application/json"
+          aria-label="Definition file"
+          onChange={async (event) => {
+            const file = event.target.files?.[0];
+            if (file) setSource(await file.text());
+          }}
+          className="text-sm text-foreground"
+        />
+        <label htmlFor={sourceId} className="sr-only">
+          Definition JSON
+        </label>
+        <textarea
+          id={sourceId}
+          rows={12}
+          value={source}
+          onChange={(event) => setSource(event.target.value)}
+          className="w-full rounded-md border border-input bg-background p-2 font-mono text-xs text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+        />
+
+        {errors.length > 0 && (
+          <ul role="alert" className="max-h-40 list-disc overflow-auto pl-5 text-sm text-destructive">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        <DialogFooter>
+          <button type="button" onClick={handleImport} className={triggerClassName}>
+            Import
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,96 @@
+import { DEFINITION_VERSION } from "../formComponent/definition";
+import { listLegalTexts } from "@/lib/legalTexts";
+
+export const OPTION_TYPES = ["select", "radio"];
+export const LAYOUT_TYPES = ["section", "content", "divider"];
+export const INPUT_TYPES = ["text", "email", "password", "date", "textarea"];
+
+export const createDefinition = () => ({
+  version: DEFINITION_VERSION,
+  id: "new-form",
+  title: "New form",
+  fields: [],
+});
+
+const uniqueName = (type, fields) => {
+  let index = 1;
+  while (fields.some((field) => field.name === `${type}${index}`)) index += 1;
+  return `${type}${index}`;
+};
+
+// A field of `type` with just enough config to render and validate, named
+// so that it doesn't clash with the other `fields`.
+export const createField = (type, fields) => {
+  if (type === "section") return { type, title: "New section" };
+  if (type === "content") return { type, content: "Some text" };
+  if (type === "divider") return { type };
+  if (type === "hidden") return { name: uniqueName(type, fields), type, value: "" };
+
+  const field = { name: uniqueName(type, fields), label: "New field", type };
+  if (OPTION_TYPES.includes(type)) {
+    field.options = [{ value: "option1", label: "Option 1" }];
+  }
+  if (type === "array") {
+    field.fields = [{ name: "item", label: "Item", type: "text" }];
+  }
+  if (type === "consent") {
+    field.text = listLegalTexts()[0]?.id;
+  }
+  if (type === "computed") {
+    field.compute = { fn: "join", fields: [] };
+  }
+  return field;
+};
+
+// Switching type keeps what the new type can use and fills in what it needs.
+export const changeFieldType = (field, type, fields) => {
+  const others = fields.filter((item) => item !== field);
+  const defaults = createField(type, others);
+  if (LAYOUT_TYPES.includes(type)) return defaults;
+
+  const {
+    options,
+    fields: nested,
+    placeholder,
+    text,
+    version,
+    value,
+    compute,
+    display,
+    defaultCountry,
+    countries,
+    ...rest
+  } = field;
+  return {
+    ...defaults,
+    ...rest,
+    name: field.name || defaults.name,
+    label: field.label || defaults.label,
+    type,
+    ...(OPTION_TYPES.includes(type) && { options: options || defaults.options }),
+    ...(type === "array" && { fields: nested || defaults.fields }),
+    ...(INPUT_TYPES.includes(type) && placeholder && { placeholder }),
+    ...(type === "consent" && { text: text || defaults.text, ...(version && { version }) }),
+    ...(type === "hidden" && { value: value ?? defaults.value }),
+    ...(type === "computed" && { compute: compute || defaults.compute, ...(display && { display }) }),
+    ...(type === "phone" && { ...(defaultCountry && { defaultCountry }), ...(countries && { countries }) }),
+  };
+};
+
+export const moveItem = (items, from, to) => {
+  const result = [...items];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
+};
+
+// Drops keys whose value was cleared in the editor, so the exported JSON
+// only holds what was actually set.
+export const compact = (object) =>
+  Object.entries(object).reduce((result, [key, value]) => {
+    if (value !== undefined && value !== "" && value !== false) result[key] = value;
+    return result;
+  }, {});
+
+export const fieldTitle = (field) =>
+  field.label || field.title || field.name || (field.type === "content" ? field.content : field.type);
@@ -0,0 +1,63 @@
+"use client";
+
+import {
+  Dialog,
+  DialogClose,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { cn } from "@/lib/utils";
+import { useTranslation } from "./i18n";
+import { useFormTheme } from "./theme";
+
+// Shows one version of a legal text (see lib/legalTexts.js). The dialog
+// traps focus, closes on Escape and returns focus to the button that opened
+// it. With `onAccept`, an accept button stands next to the close one.
+export default function ConsentDialog({ text, open, onOpenChange, onAccept }) {
+  const { t, locale } = useTranslation();
+  const theme = useFormTheme();
+  // "YYYY-MM-DD" is read as UTC midnight, so it is shown in UTC too; local
+  // time would give the day before west of UTC.
+  const date = new Date(text.date).toLocaleDateString(locale, { timeZone: "UTC" });
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className={cn("max-w-2xl", theme.dialog)}>
+        <DialogHeader>
+          <DialogTitle>{text.title}</DialogTitle>
+          <DialogDescription>{t("consent.version", { version: text.version, date })}</DialogDescription>
+        </DialogHeader>
+        {/* Legal texts come from the local data module, never from users. */}
+        <div
+          className="max-h-[60vh] space-y-3 overflow-y-auto text-sm"
+          dangerouslySetInnerHTML={{ __html: text.content }}
+        />
+        <DialogFooter className="gap-2">
+          <DialogClose asChild>
+            <button
+              type="button"
+              className={cn(theme.secondaryButton, "m-0")}
+            >
+              {t("consent.close")}
+            </button>
+          </DialogClose>
+          {onAccept && (
+            <button
+              type="button"
+              onClick={() => {
+                onAccept();
+                onOpenChange(false);
+              }}
+              className={cn(theme.button, "m-0")}
+            >
+              {t("consent.accept")}
+            </button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,33 @@
+"use client";
+
+import { cn } from "@/lib/utils";
+import { useTranslation } from "./i18n";
+import { useFormTheme } from "./theme";
+
+export default function DraftPrompt({ draft, onResume, onDiscard }) {
+  const { t, locale } = useTranslation();
+  const theme = useFormTheme();
+  const savedAt = new Date(draft.savedAt).toLocaleString(locale);
+
+  return (
+    <div role="status" className={theme.notice}>
+      <p className="mb-2">{t("draft.prompt", { savedAt })}</p>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onResume}
+          className={cn(theme.button, "m-0 py-1.5")}
+        >
+          {t("draft.resume")}
+        </button>
+        <button
+          type="button"
+          onClick={onDiscard}
+          className={cn(theme.secondaryButton, "m-0 py-1.5")}
+        >
+          {t("draft.discard")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+"use client";
+
+import { useTranslation } from "./i18n";
+import { useFormTheme } from "./theme";
+
+// Flattens the errors of `fields` in the order they are configured (which is
+// also the order they are rendered in), including those of repeatable groups.
+export const collectErrors = (fields, errors, t, prefix = "", labelPrefix = "") =>
+  fields.flatMap((field) => {
+    const name = `${prefix}${field.name}`;
+    const label = `${labelPrefix}${t(field.label || field.name)}`;
+    const error = errors?.[field.name];
+    if (!error) return [];
+
+    if (field.type === "array") {
+      const groupError = error.root || (error.message ? error : null);
+      const itemLabel = t(field.itemLabel || field.label || field.name);
+      const items = Array.isArray(error) ? error : [];
+      return [
+        ...(groupError ? [{ name, label, message: groupError.message }] : []),
+        ...items.flatMap((itemErrors, index) =>
+          collectErrors(
+            field.fields,
+            itemErrors,
+            t,
+            `${name}.${index}.`,
+            `${labelPrefix}${itemLabel} ${index + 1}: `
+          )
+        ),
+      ];
+    }
+
+    return error.message ? [{ name, label, message: error.message }] : [];
+  });
+
+// Announced when a submit (or a wizard step) fails, and kept up to date as
+// the user fixes the fields; each entry moves focus to its field.
+export default function ErrorSummary({ errors, onSelect }) {
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+  if (errors.length === 0) return null;
+
+  return (
+    <div role="alert" className={theme.alert}>
+      <p className="font-semibold">
+        {t("form.errorSummary", { count: errors.length })}
+      </p>
+      <ul className="mt-1 list-disc pl-5">
+        {errors.map((error) => (
+          <li key={error.name}>
+            <a
+              href={`#${error.name}`}
+              onClick={(event) => {
+                event.preventDefault();
+                onSelect(error.name);
+              }}
+              className="underline hover:no-underline"
+            >
+              {error.label}: {error.message}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
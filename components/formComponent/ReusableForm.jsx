@@ -1,162 +1,570 @@
 "use client";
 
-import { useForm } from "react-hook-form";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import { get, useForm } from "react-hook-form";
 import { yupResolver } from "@hookform/resolvers/yup";
+import { buildSchema } from "./buildSchema";
+import {
+  collectValueUpdates,
+  createValueGetter,
+  resolveFieldState,
+} from "./conditions";
+import { definitionToProps } from "./definition";
+import DraftPrompt from "./DraftPrompt";
+import ErrorSummary, { collectErrors } from "./ErrorSummary";
+import { isHiddenField, resolveFieldType } from "./fieldRegistry";
+import { cn } from "@/lib/utils";
+import { I18nContext, createTranslator, localizeField } from "./i18n";
+import { buildArrayDefaults } from "./fields/FieldArray";
+import { GRID_CLASS_NAME, colSpanClassName, groupSections } from "./layout";
+import { collectSubscriptions } from "./newsletter";
+import { subscribeToNewsletter } from "@/lib/newsletter/subscribe";
+import { captureAttribution, getAttribution } from "@/lib/attribution";
+import RequiredMark from "./fields/RequiredMark";
+import StepIndicator from "./StepIndicator";
+import SubmissionFeedback from "./SubmissionFeedback";
+import { ThemeContext, resolveTheme } from "./theme";
+import { UploadProgressContext, uploadFiles } from "./uploads";
+import useAsyncValidation, { withAsyncErrors } from "./useAsyncValidation";
+import useDraftPersistence from "./useDraftPersistence";
+
+// A JSON `definition` (see definition.js) stands in for the props it
+// describes; props passed alongside it take precedence.
+export default function ReusableForm({ definition, ...props }) {
+  const { components } = props;
+  const definitionProps = useMemo(
+    () => (definition ? definitionToProps(definition, { components }) : null),
+    [definition, components]
+  );
+  return <Form {...definitionProps} {...props} />;
+}
+
+function Form({
+  id,
+  fields,
+  onSubmit,
+  submitAdapter,
+  schema,
+  steps,
+  components,
+  onSuccess,
+  onError,
+  resetOnSuccess = false,
+  successRedirect,
+  successText,
+  errorText,
+  renderSuccess,
+  renderError,
+  submitText = "form.submit",
+  submittingText = "form.submitting",
+  persist,
+  uploadAdapter,
+  newsletterAdapter = subscribeToNewsletter,
+  attribution = false,
+  locale = "en",
+  messages,
+  theme: themeName,
+  classNames,
+}) {
+  const router = useRouter();
+
+  // Labels, placeholders, option labels, button texts and validation
+  // messages may all be translation keys; see i18n.js.
+  const i18n = useMemo(
+    () => ({ locale, t: createTranslator(locale, messages) }),
+    [locale, messages]
+  );
+  const { t } = i18n;
+
+  const theme = useMemo(() => resolveTheme(themeName, classNames), [themeName, classNames]);
+
+  // An explicit schema wins; otherwise validation comes from the field config.
+  const resolvedSchema = useMemo(
+    () => schema || buildSchema(fields, { components, t }),
+    [schema, fields, components, t]
+  );
+
+  const asyncResults = useRef({});
+  const resolver = useMemo(
+    () => withAsyncErrors(yupResolver(resolvedSchema), fields, asyncResults),
+    [resolvedSchema, fields]
+  );
 
-export default function ReusableForm({ fields, onSubmit, schema }) {
   const {
     register,
     handleSubmit,
     formState: { errors },
     watch,
+    trigger,
+    control,
+    setValue,
+    getValues,
+    setError,
+    clearErrors,
+    getFieldState,
+    reset,
+    setFocus,
   } = useForm({
-    resolver: yupResolver(schema),
+    resolver,
+    defaultValues: buildArrayDefaults(fields),
+    // Focus follows the field config order instead, see focusFirstError.
+    shouldFocusError: false,
+  });
+
+  const { pending, flush: flushAsyncValidation } = useAsyncValidation(fields, {
+    results: asyncResults,
+    watch,
+    getValues,
+    setError,
+    clearErrors,
+    getFieldState,
+    t,
   });
 
   const watchedValues = watch();
 
-  const enhancedSubmit = (data) => {
-    onSubmit(data);
+  const { pendingDraft, resumeDraft, discardDraft, clearDraft } =
+    useDraftPersistence(fields, { persist, watch, reset, getValues });
+
+  // Keep values driven by `setValue` rules in sync; the equality check in
+  // collectValueUpdates stops this from looping.
+  useEffect(() => {
+    collectValueUpdates(fields, watchedValues).forEach(([name, value]) =>
+      setValue(name, value, { shouldDirty: true })
+    );
+  });
+
+  // onSubmit may return (or resolve to) { errors: { fieldName: message } }
+  // with errors found by the server; they are shown on the matching inputs
+  // like a failed submit, and messages for unknown names are shown above the
+  // submit button.
+  const applyServerErrors = (serverErrors) => {
+    const invalid = [];
+    Object.entries(serverErrors).forEach(([name, message]) => {
+      const isField = fields.some((field) => field.name === name.split(".")[0]);
+      if (isField) {
+        setError(name, { type: "server", message: t(message) });
+        invalid.push(name.split(".")[0]);
+      } else {
+        setError("root.server", { type: "server", message: t(message) });
+      }
+    });
+    if (invalid.length > 0) reportInvalid(invalid);
   };
 
-  const shouldRender = (field) => {
-    if (!field.conditional) return true;
-    const { field: depField, value } = field.conditional;
-    return watchedValues[depField] === value;
+  const [submission, setSubmission] = useState({ status: "idle" });
+  const isSubmitting = submission.status === "submitting";
+
+  // Values go to onSubmit or, without one, to submitAdapter (see
+  // submitAdapters.js). Files are uploaded right before, and what the upload
+  // adapter returned for each of them is submitted instead of the File.
+  const [uploadProgress, setUploadProgress] = useState({});
+  const uploadedFiles = useRef(new WeakMap());
+
+  const reportUploadProgress = (name, index, fraction) =>
+    setUploadProgress((current) => ({
+      ...current,
+      [name]: { ...current[name], [index]: fraction },
+    }));
+
+  const enhancedSubmit = async (values) => {
+    let data = values;
+    let result;
+    try {
+      data = await uploadFiles(fields, values, {
+        adapter: uploadAdapter,
+        cache: uploadedFiles.current,
+        onProgress: reportUploadProgress,
+      }).finally(() => setUploadProgress({}));
+      // Where the visitor came from (see lib/attribution.js) is submitted
+      // like a hidden field.
+      if (attribution) {
+        data = { ...data, attribution: getAttribution() ?? captureAttribution() };
+      }
+      result = await (onSubmit ? onSubmit(data) : submitAdapter(data, { fields }));
+    } catch (error) {
+      setSubmission({ status: "error", error, data });
+      onError?.(error, data);
+      return;
+    }
+
+    // Field errors from the server leave the form editable rather than
+    // failing the submission as a whole.
+    if (result?.errors) {
+      applyServerErrors(result.errors);
+      setSubmission({ status: "idle" });
+      return;
+    }
+
+    // Ticked newsletter checkboxes subscribe once the submission went
+    // through. A failed subscription doesn't undo it, so it's only logged.
+    await Promise.all(
+      collectSubscriptions(fields, data).map((subscription) =>
+        Promise.resolve()
+          .then(() => newsletterAdapter(subscription))
+          .catch((error) => console.error("Newsletter subscription failed:", error))
+      )
+    );
+
+    setSubmission({ status: "success", data, result });
+    clearDraft();
+    onSuccess?.(data, result);
+
+    if (resetOnSuccess) {
+      reset();
+      asyncResults.current = {};
+      setCurrentStep(0);
+    }
+    if (successRedirect) router.push(successRedirect);
   };
-  return (
-    <form
-      onSubmit={handleSubmit(enhancedSubmit)}
-      className="w-full p-5 md:p-10 text-start"
-    >
-      {fields.map((field) => {
-  if (!shouldRender(field)) return null;
 
-  return (
-    <div key={field.name} className="mb-4 text-start">
-      {field.type !== "checkbox" && field.type !== "rating" && (
-        <label
-          htmlFor={field.name}
-          className="mb-1 block text-sm font-medium text-gray-900"
-        >
-          {field.label}
-        </label>
-      )}
-
-      {["text", "email", "password", "date"].includes(field.type) && (
-        <input
-          id={field.name}
-          type={field.type}
-          {...register(field.name)}
-          className="block w-full rounded-md bg-white px-3 py-1.5 text-base text-gray-900 outline outline-1 -outline-offset-1 outline-gray-300 placeholder:text-gray-400 focus:outline focus:outline-2 focus:-outline-offset-2 focus:outline-indigo-600 sm:text-sm/6"
-          placeholder={field.placeholder}
-        />
-      )}
-
-      {field.type === "textarea" && (
-        <textarea
-          id={field.name}
-          {...register(field.name)}
-          className="block w-full rounded-md bg-white px-3 py-1.5 text-base text-gray-900 outline outline-1 -outline-offset-1 outline-gray-300 placeholder:text-gray-400 focus:outline focus:outline-2 focus:-outline-offset-2 focus:outline-indigo-600 sm:text-sm/6"
-          placeholder={field.placeholder}
-        />
-      )}
+  // Wizard mode: only the current step's fields are rendered, but values of
+  // the other steps stay in the form state so the final submit gets them all.
+  const isWizard = Array.isArray(steps) && steps.length > 0;
+  const [currentStep, setCurrentStep] = useState(0);
+  const isLastStep = !isWizard || currentStep === steps.length - 1;
+  const visibleFields = isWizard
+    ? fields.filter((field) => steps[currentStep].fields.includes(field.name))
+    : fields;
 
-      {field.type === "select" && (
-        <select
-          id={field.name}
-          {...register(field.name)}
-          className="w-full rounded-md bg-white py-1.5 pl-3 pr-8 text-base text-gray-900 outline outline-1 -outline-offset-1 outline-gray-300 focus:outline focus:outline-2 focus:-outline-offset-2 focus:outline-indigo-600 sm:text-sm/6"
-        >
-          {field.options.map((option) => (
-            <option key={option.value} value={option.value}>
-              {option.label}
-            </option>
-          ))}
-        </select>
-      )}
-
-      {field.type === "radio" && (
-        <div className="flex flex-col gap-1 mt-1">
-          {field.options.map((option) => (
-            <label
-              key={option.value}
-              className="block text-sm font-medium text-gray-900"
-            >
-              <input
-                type="radio"
-                value={option.value}
-                {...register(field.name)}
-                className="mr-2"
-              />
-              {option.label}
-            </label>
-          ))}
+  const sectionGroups = groupSections(visibleFields);
+  const [collapsedSections, setCollapsedSections] = useState({});
+
+  const expandSectionOf = (name) => {
+    const root = name.split(".")[0];
+    const group = sectionGroups.find(({ items }) =>
+      items.some(({ field }) => field.name === root)
+    );
+    if (group?.section?.collapsible) {
+      setCollapsedSections((current) => ({ ...current, [group.key]: false }));
+    }
+  };
+
+  // Fields in a collapsed section are hidden, so the section is expanded
+  // first and the field focused once that has rendered.
+  const [focusTarget, setFocusTarget] = useState(null);
+  const focusField = (name) => {
+    expandSectionOf(name);
+    setFocusTarget({ name });
+  };
+
+  useEffect(() => {
+    if (focusTarget) setFocus(focusTarget.name);
+  }, [focusTarget, setFocus]);
+
+  // After a failed submit or step the summary lists what's left to fix and
+  // the first invalid field gets focus. Focusing waits for the render that
+  // shows the new errors, when they can be read in field order.
+  const [showErrorSummary, setShowErrorSummary] = useState(false);
+  const [focusRequest, setFocusRequest] = useState(0);
+  const fieldErrors = collectErrors(visibleFields, errors, t);
+
+  // `names` are the fields with errors. In wizard mode these can be on
+  // another step than the current one (a schema or rule reading a later step,
+  // a server error), so the first step holding one is shown.
+  const reportInvalid = (names) => {
+    if (isWizard && names) {
+      const step = steps.findIndex((item) => item.fields.some((name) => names.includes(name)));
+      if (step >= 0) setCurrentStep(step);
+    }
+    setShowErrorSummary(true);
+    setFocusRequest((count) => count + 1);
+  };
+
+  // The effect only runs per request, reading the errors and sections of
+  // the render that shows them through a ref.
+  const latestErrors = useRef();
+  latestErrors.current = { fieldErrors, expandSectionOf, focusField };
+
+  useEffect(() => {
+    const { fieldErrors: current, expandSectionOf: expand, focusField: focus } =
+      latestErrors.current;
+    if (focusRequest === 0 || current.length === 0) return;
+    current.forEach((error) => expand(error.name));
+    focus(current[0].name);
+  }, [focusRequest]);
+
+  // Errors already shown were worded in the previous language.
+  const previousI18n = useRef(i18n);
+  const latestValidation = useRef();
+  latestValidation.current = { fields, errors, trigger };
+  useEffect(() => {
+    if (previousI18n.current === i18n) return;
+    previousI18n.current = i18n;
+    const { fields: current, errors: shown, trigger: validate } = latestValidation.current;
+    const invalid = collectErrors(current, shown, i18n.t).map((error) => error.name);
+    if (invalid.length > 0) validate(invalid);
+  }, [i18n]);
+
+  const goNext = async () => {
+    await flushAsyncValidation(steps[currentStep].fields);
+    const isStepValid = await trigger(steps[currentStep].fields);
+    if (!isStepValid) return reportInvalid();
+    setShowErrorSummary(false);
+    setCurrentStep((step) => step + 1);
+  };
+
+  const goBack = () => {
+    setShowErrorSummary(false);
+    setCurrentStep((step) => step - 1);
+  };
+
+  const handleFormSubmit = async (event) => {
+    event.preventDefault();
+    if (isSubmitting) return;
+    // Pressing Enter on an intermediate step advances instead of submitting.
+    if (!isLastStep) return goNext();
+
+    setSubmission({ status: "submitting" });
+    try {
+      // Debounced checks still waiting must settle before the resolver runs.
+      await flushAsyncValidation();
+      await handleSubmit(
+        (data) => {
+          setShowErrorSummary(false);
+          return enhancedSubmit(data);
+        },
+        (invalidErrors) => {
+          setSubmission({ status: "idle" });
+          reportInvalid(Object.keys(invalidErrors));
+        }
+      )();
+    } catch (error) {
+      // A throwing resolver or validation check lands here; adapter errors
+      // are already handled by enhancedSubmit.
+      const data = getValues();
+      setSubmission({ status: "error", error, data });
+      onError?.(error, data);
+    } finally {
+      // Whatever happened, the button must not stay disabled.
+      setSubmission((current) =>
+        current.status === "submitting" ? { status: "idle" } : current
+      );
+    }
+  };
+
+  // Nested fields pass their own entry as the scope, so conditions inside a
+  // repeatable group compare against its sibling fields.
+  const renderField = (config, name = config.name, scope = watchedValues) => {
+    const state = resolveFieldState(config, createValueGetter(watchedValues, scope));
+    if (!state.visible) return null;
+
+    const field = localizeField(config, t);
+
+    const fieldType = resolveFieldType(field.type, components);
+    if (!fieldType) {
+      throw new Error(`Unknown field type "${field.type}" for field "${name}"`);
+    }
+
+    if (isHiddenField(fieldType, field)) return null;
+
+    const {
+      component: FieldComponent,
+      showLabel = true,
+      showError = true,
+      group = false,
+      layout = false,
+    } = fieldType;
+    const spanClassName = colSpanClassName(field.colSpan);
+
+    if (layout) {
+      return (
+        <div key={name} className={cn(spanClassName, field.className)}>
+          <FieldComponent field={field} name={name} />
         </div>
-      )}
-
-      {field.type === "checkbox" && (
-        <label className="flex items-center gap-2 text-sm font-medium text-gray-900">
-          <input
-            id={field.name}
-            type="checkbox"
-            {...register(field.name)}
-            className="rounded border border-gray-300 bg-white checked:border-indigo-600 checked:bg-indigo-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-600"
-          />
-          {field.label}
-        </label>
-      )}
-
-      {field.type === "file" && (
-        <input
-          id={field.name}
-          type="file"
-          {...register(field.name)}
-          className="mt-1 w-full text-sm text-gray-700"
-        />
-      )}
+      );
+    }
+
+    const error = get(errors, name);
+    const required = !state.disabled && Boolean(field.validation?.required || state.required);
 
-      {field.type === "rating" && (
-        <div className="flex flex-col gap-1">
-          <label className="mb-1 block text-sm font-medium text-gray-900">
+    // Spread by renderers onto their focusable control(s), linking the
+    // message below to them.
+    const errorId = `${name}-error`;
+    const aria = error?.message ? { "aria-invalid": true, "aria-describedby": errorId } : {};
+
+    // Groups of controls (radios, stars) are labelled by a legend, which
+    // screen readers announce when focus enters any of them. Fields without
+    // a label get neither.
+    const Wrapper = group ? "fieldset" : "div";
+    const hasLabel = showLabel && Boolean(field.label);
+
+    return (
+      <Wrapper key={name} className={cn(theme.fieldWrapper, spanClassName, field.className)}>
+        {hasLabel && group && (
+          <legend className={cn(theme.label, field.labelClassName)}>
+            {field.label}
+            {required && <RequiredMark announce />}
+          </legend>
+        )}
+        {hasLabel && !group && (
+          <label
+            htmlFor={name}
+            className={cn(theme.label, field.labelClassName)}
+          >
             {field.label}
+            {required && <RequiredMark />}
           </label>
-          <div className="flex gap-1">
-            {[...Array(field.max || 5)].map((_, i) => {
-              const value = i + 1;
-              return (
-                <label key={value} className="cursor-pointer">
-                  <input
-                    type="radio"
-                    value={value}
-                    {...register(field.name)}
-                    className="hidden"
-                  />
-                  <span className="text-2xl text-yellow-400">
-                    {value <= (watch(field.name) || 0) ? "★" : "☆"}
-                  </span>
-                </label>
-              );
-            })}
+        )}
+
+        <FieldComponent
+          field={field}
+          name={name}
+          register={register}
+          control={control}
+          setValue={setValue}
+          error={error}
+          disabled={state.disabled}
+          required={required}
+          aria={aria}
+          renderField={renderField}
+        />
+
+        {pending[name] && (
+          <div className={theme.hint} aria-live="polite">
+            {t("form.checking")}
           </div>
-        </div>
-      )}
+        )}
 
-      {errors[field.name] && (
-        <div className="mt-1 text-sm text-red-500">
-          {errors[field.name].message}
-        </div>
-      )}
-    </div>
-  );
-})}
+        {showError && error?.message && (
+          <div id={errorId} className={theme.error}>
+            {error.message}
+          </div>
+        )}
+      </Wrapper>
+    );
+  };
+
+  // A section heads the items after it; its conditions hide them all.
+  const renderSection = ({ section, key, items }) => {
+    const renderItems = () =>
+      items.map(({ field, key: itemKey }) => renderField(field, field.name || itemKey));
+    if (!section) return renderItems();
+
+    const state = resolveFieldState(section, createValueGetter(watchedValues));
+    if (!state.visible) return null;
+
+    const collapsed =
+      section.collapsible && (collapsedSections[key] ?? Boolean(section.defaultCollapsed));
+    const title = t(section.title);
 
-      <button
-        type="submit"
-        className="rounded-lg bg-indigo-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-600"
+    return (
+      <section
+        key={key}
+        aria-labelledby={`${key}-title`}
+        className={cn(colSpanClassName(section.colSpan), section.className)}
       >
-        Submit
-      </button>
-    </form>
+        <div className={theme.section}>
+          <h3 id={`${key}-title`} className={cn(theme.heading, "mb-0")}>
+            {section.collapsible ? (
+              <button
+                type="button"
+                aria-expanded={!collapsed}
+                aria-controls={`${key}-content`}
+                onClick={() =>
+                  setCollapsedSections((current) => ({ ...current, [key]: !collapsed }))
+                }
+                className="flex w-full items-center justify-between gap-2 text-start"
+              >
+                {title}
+                <span aria-hidden="true">{collapsed ? "▸" : "▾"}</span>
+              </button>
+            ) : (
+              title
+            )}
+          </h3>
+          {section.description && <p className={theme.hint}>{t(section.description)}</p>}
+        </div>
+        <div id={`${key}-content`} hidden={collapsed} className={GRID_CLASS_NAME}>
+          {renderItems()}
+        </div>
+      </section>
+    );
+  };
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <ThemeContext.Provider value={theme}>
+        <form
+          id={id}
+          onSubmit={handleFormSubmit}
+          // Validation messages come from the schema, not the browser's bubbles.
+          noValidate
+          className={theme.form}
+        >
+          {pendingDraft && (
+            <DraftPrompt
+              draft={pendingDraft}
+              onResume={resumeDraft}
+              onDiscard={discardDraft}
+            />
+          )}
+
+          {isWizard && (
+            <>
+              <StepIndicator steps={steps} currentStep={currentStep} />
+              <h2 className={theme.heading}>
+                {t(steps[currentStep].title)}
+              </h2>
+            </>
+          )}
+
+          {showErrorSummary && <ErrorSummary errors={fieldErrors} onSelect={focusField} />}
+
+          <UploadProgressContext.Provider value={uploadProgress}>
+            <div className={GRID_CLASS_NAME}>{sectionGroups.map(renderSection)}</div>
+          </UploadProgressContext.Provider>
+
+          <SubmissionFeedback
+            submission={submission}
+            successText={successText}
+            errorText={errorText}
+            renderSuccess={renderSuccess}
+            renderError={renderError}
+          />
+
+          {errors.root?.server && (
+            <div role="alert" className={cn(theme.error, "mb-4 mt-0")}>
+              {errors.root.server.message}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            {isWizard && currentStep > 0 && (
+              <button
+                key="back"
+                type="button"
+                onClick={goBack}
+                className={theme.secondaryButton}
+              >
+                {t("form.back")}
+              </button>
+            )}
+
+            {isLastStep ? (
+              <button
+                key="submit"
+                type="submit"
+                disabled={isSubmitting}
+                aria-busy={isSubmitting}
+                className={theme.button}
+              >
+                {t(isSubmitting ? submittingText : submitText)}
+              </button>
+            ) : (
+              <button
+                key="next"
+                type="button"
+                onClick={goNext}
+                className={theme.button}
+              >
+                {t("form.next")}
+              </button>
+            )}
+          </div>
+        </form>
+      </ThemeContext.Provider>
+    </I18nContext.Provider>
   );
 }
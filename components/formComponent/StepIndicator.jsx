@@ -0,0 +1,55 @@
+"use client";
+
+import { cn } from "@/lib/utils";
+import { useTranslation } from "./i18n";
+import { useFormTheme } from "./theme";
+
+export default function StepIndicator({ steps, currentStep }) {
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+  const progress = ((currentStep + 1) / steps.length) * 100;
+
+  return (
+    <div className="mb-6">
+      <ol className="mb-2 flex justify-between gap-2">
+        {steps.map((step, index) => (
+          <li
+            key={step.title}
+            aria-current={index === currentStep ? "step" : undefined}
+            className={cn(
+              "flex items-center gap-2 text-sm font-medium",
+              index <= currentStep ? theme.reachedStep : theme.step
+            )}
+          >
+            <span
+              className={cn(
+                "flex h-6 w-6 shrink-0 items-center justify-center rounded-full text-xs",
+                index <= currentStep ? theme.reachedStepMarker : theme.stepMarker
+              )}
+            >
+              {index + 1}
+            </span>
+            <span className="hidden sm:inline">{t(step.title)}</span>
+          </li>
+        ))}
+      </ol>
+      <div
+        role="progressbar"
+        aria-valuemin={1}
+        aria-valuemax={steps.length}
+        aria-valuenow={currentStep + 1}
+        aria-valuetext={t("form.step", {
+          current: currentStep + 1,
+          total: steps.length,
+          title: t(steps[currentStep].title),
+        })}
+        className={cn("h-1.5 w-full overflow-hidden rounded-full", theme.progressTrack)}
+      >
+        <div
+          className={cn("h-full transition-all", theme.progressBar)}
+          style={{ width: `${progress}%` }}
+        />
+      </div>
+    </div>
+  );
+}
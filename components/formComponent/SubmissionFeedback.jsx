@@ -0,0 +1,37 @@
+"use client";
+
+import { useTranslation } from "./i18n";
+import { useFormTheme } from "./theme";
+
+export default function SubmissionFeedback({
+  submission,
+  successText,
+  errorText,
+  renderSuccess,
+  renderError,
+}) {
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  if (submission.status === "success") {
+    return (
+      <div role="status" className={theme.success}>
+        {renderSuccess
+          ? renderSuccess({ data: submission.data, result: submission.result })
+          : t(successText || "form.success")}
+      </div>
+    );
+  }
+
+  if (submission.status === "error") {
+    return (
+      <div role="alert" className={theme.alert}>
+        {renderError
+          ? renderError({ error: submission.error, data: submission.data })
+          : t(errorText || "form.error")}
+      </div>
+    );
+  }
+
+  return null;
+}
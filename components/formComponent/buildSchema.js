@@ -0,0 +1,208 @@
+import * as yup from "yup";
+import { computedValueType } from "./computed";
+import { createValueGetter, resolveFieldState } from "./conditions";
+import { resolveFieldType } from "./fieldRegistry";
+import { createTranslator } from "./i18n";
+import { groupSections } from "./layout";
+import { formatFileSize, matchesAccept, toAcceptList } from "./uploads";
+
+// Turns the "" / null that inputs report for an untouched value into
+// undefined, so optional dates and numbers don't fail on type casting.
+const emptyToUndefined = (value, originalValue) =>
+  originalValue === "" || originalValue === null ? undefined : value;
+
+// A rule can be written as the bare value or as { value, message }; the
+// fallback message may be a function of the rule value. Rules that are just
+// switched on (`isSwitch`: required, email) also take their message as a bare
+// string; for the others a string is the value, like a date or a pattern.
+// Messages may be translation keys, with {label} and {limit} available as params.
+const readRule = (rule, fallbackMessage, t, label, isSwitch = false) => {
+  let value = rule;
+  let message;
+  if (rule !== null && typeof rule === "object" && "value" in rule) {
+    value = rule.value;
+    message = rule.message;
+  } else if (isSwitch && typeof rule === "string") {
+    value = true;
+    message = rule;
+  }
+  if (!message) {
+    message = typeof fallbackMessage === "function" ? fallbackMessage(value) : fallbackMessage;
+  }
+  return { value, message: t(message, { label, limit: value }) };
+};
+
+const fileList = (value) => (value ? Array.from(value) : []);
+
+const baseSchema = (field, values, scope, options) => {
+  const fieldType = resolveFieldType(field.type, options.components);
+  if (fieldType?.schema) return fieldType.schema(field, options.t);
+
+  switch (field.type) {
+    case "date":
+      return yup.date().transform(emptyToUndefined).typeError(options.t("validation.date"));
+    case "rating":
+      return yup.number().transform(emptyToUndefined);
+    case "checkbox":
+      return yup.boolean();
+    case "file":
+      return yup.mixed();
+    case "array":
+      // Each entry resolves its own conditions against its sibling fields.
+      return yup
+        .array()
+        .of(
+          yup.lazy((item) =>
+            yup.object().shape(buildShape(field.fields, values, item || {}, options))
+          )
+        );
+    default:
+      return yup.string();
+  }
+};
+
+const applyRequired = (schema, field, rule, t) => {
+  const label = t(field.label || field.name);
+  const { message } = readRule(rule, "validation.required", t, label, true);
+  if (field.type === "file") {
+    return schema.test("required", message, (files) => fileList(files).length > 0);
+  }
+  if (field.type === "checkbox") return schema.oneOf([true], message);
+  if (field.type === "array") return schema.min(1, message);
+  return schema.required(message);
+};
+
+const applyValidation = (schema, field, t) => {
+  const rules = field.validation || {};
+  const label = t(field.label || field.name);
+  const read = (rule, fallbackMessage) => readRule(rule, fallbackMessage, t, label);
+  let result = schema;
+
+  if (rules.email) {
+    const { message } = readRule(rules.email, "validation.email", t, label, true);
+    result = result.email(message);
+  }
+
+  const isRange =
+    field.type === "rating" || field.type === "date" || computedValueType(field) === "number";
+  const isArray = field.type === "array";
+
+  // Repeatable groups take their item count limits from the field itself,
+  // the same way ratings take their star count.
+  const min = rules.min !== undefined ? rules.min : isArray ? field.min : undefined;
+  if (min !== undefined) {
+    const { value, message } = read(
+      min,
+      isArray ? "validation.minEntries" : isRange ? "validation.minValue" : "validation.minLength"
+    );
+    result = result.min(value, message);
+  }
+
+  const max =
+    rules.max !== undefined
+      ? rules.max
+      : field.type === "rating"
+        ? field.max || 5
+        : isArray
+          ? field.max
+          : undefined;
+  if (max !== undefined) {
+    const { value, message } = read(
+      max,
+      isArray ? "validation.maxEntries" : isRange ? "validation.maxValue" : "validation.maxLength"
+    );
+    result = result.max(value, message);
+  }
+
+  if (rules.pattern) {
+    const { value, message } = read(rules.pattern, "validation.invalid");
+    result = result.matches(value, message);
+  }
+
+  if (rules.oneOf) {
+    const { value, message } = read(rules.oneOf, "validation.invalid");
+    result = result.oneOf(value, message);
+  }
+
+  // File fields take their limits from the field too, since the same
+  // values configure the picker.
+  const isFile = field.type === "file";
+
+  const maxFiles = rules.maxFiles ?? (isFile ? field.maxFiles : undefined);
+  if (maxFiles !== undefined) {
+    const { value, message } = read(maxFiles, "validation.maxFiles");
+    result = result.test("maxFiles", message, (files) => fileList(files).length <= value);
+  }
+
+  const maxSize = rules.maxSize ?? (isFile ? field.maxSize : undefined);
+  if (maxSize) {
+    const { value, message } = read(maxSize, (limit) =>
+      t("validation.maxSize", { label, size: formatFileSize(limit) })
+    );
+    result = result.test("maxSize", message, (files) =>
+      fileList(files).every((file) => !(file instanceof Blob) || file.size <= value)
+    );
+  }
+
+  const accept = rules.accept ?? (isFile ? field.accept : undefined);
+  if (accept) {
+    const { value, message } = read(accept, "validation.accept");
+    const acceptList = toAcceptList(value);
+    result = result.test("accept", message, (files) =>
+      fileList(files).every((file) => !(file instanceof Blob) || matchesAccept(file, acceptList))
+    );
+  }
+
+  if (rules.required) {
+    result = applyRequired(result, field, rules.required, t);
+  }
+
+  return result;
+};
+
+export const buildFieldSchema = (field, values = {}, scope = values, options = {}) => {
+  if (!options.t) return buildFieldSchema(field, values, scope, withTranslator(options));
+  const state = resolveFieldState(field, createValueGetter(values, scope));
+
+  // Hidden fields are neither validated nor submitted, so a hidden
+  // customCountry never blocks submission.
+  if (!state.visible) return yup.mixed().strip();
+
+  const schema = baseSchema(field, values, scope, options);
+  if (state.disabled) return schema.notRequired();
+
+  const validated = applyValidation(schema, field, options.t);
+  return state.required && !field.validation?.required
+    ? applyRequired(validated, field, state.required, options.t)
+    : validated;
+};
+
+// Sections, content blocks and dividers hold no value. A section's
+// conditions apply to the fields under it, which are stripped with it.
+function buildShape(fields, values, scope, options) {
+  const getValue = createValueGetter(values, scope);
+  return groupSections(fields).reduce((shape, { section, items }) => {
+    const sectionVisible = !section || resolveFieldState(section, getValue).visible;
+    items.forEach(({ field }) => {
+      if (resolveFieldType(field.type, options.components)?.layout) return;
+      shape[field.name] = sectionVisible
+        ? buildFieldSchema(field, values, scope, options)
+        : yup.mixed().strip();
+    });
+    return shape;
+  }, {});
+}
+
+const withTranslator = (options) => ({ ...options, t: createTranslator(options.locale) });
+
+// The shape depends on the values being validated (visibility and rule
+// actions), so it is rebuilt lazily on every validation run. Pass the form's
+// `components` so custom field types can provide their own base schema, and
+// a `locale` (or a translator `t`) for the messages.
+export const buildSchema = (fields, options = {}) => {
+  const resolvedOptions = options.t ? options : withTranslator(options);
+  return yup.lazy((values) => {
+    const current = values || {};
+    return yup.object().shape(buildShape(fields, current, current, resolvedOptions));
+  });
+};
@@ -0,0 +1,126 @@
+// Values the user doesn't type. A `hidden` field submits its `value`, and a
+// `computed` field the result of its `compute` expression; both are kept up
+// to date as the other fields change (see collectValueUpdates).
+//
+// `compute` is either a function or, so that it can be written in JSON, an
+// object naming one of the functions below:
+//   { fn: "join", fields: ["firstName", "lastName"], separator: " " }
+//   { fn: "template", template: "{lastName}, {firstName}" }
+//   { fn: "sum" | "product", fields: ["quantity", "price"] }
+//   { fn: "age", field: "birthdate" }
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const toNumbers = (expression, getValue) =>
+  (expression.fields || [])
+    .map(getValue)
+    .filter((value) => !isBlank(value))
+    .map(Number);
+
+// Date inputs give "YYYY-MM-DD", which `new Date` reads as UTC midnight:
+// west of UTC that is the day before in local time. Read it as a local date.
+const toLocalDate = (value) => {
+  const match = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return new Date(value);
+  const [, year, month, day] = match.map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Whole years from a date to today.
+const yearsSince = (value, today = new Date()) => {
+  const date = toLocalDate(value);
+  if (isBlank(value) || isNaN(date)) return undefined;
+  let years = today.getFullYear() - date.getFullYear();
+  const hadBirthday =
+    today.getMonth() > date.getMonth() ||
+    (today.getMonth() === date.getMonth() && today.getDate() >= date.getDate());
+  if (!hadBirthday) years -= 1;
+  return years;
+};
+
+// `type` is the kind of value a function gives, which decides how the
+// field is validated ("number" fields take min and max).
+const computeFunctions = {
+  join: {
+    type: "string",
+    compute: ({ fields = [], separator = " " }, getValue) =>
+      fields
+        .map(getValue)
+        .filter((value) => !isBlank(value))
+        .join(separator),
+  },
+  template: {
+    type: "string",
+    compute: ({ template = "" }, getValue) =>
+      template
+        .replace(/\{([^}]+)\}/g, (_, path) => {
+          const value = getValue(path.trim());
+          return isBlank(value) ? "" : String(value);
+        })
+        .trim(),
+  },
+  sum: {
+    type: "number",
+    compute: (expression, getValue) => {
+      const numbers = toNumbers(expression, getValue);
+      return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) : undefined;
+    },
+  },
+  product: {
+    type: "number",
+    compute: (expression, getValue) => {
+      const numbers = toNumbers(expression, getValue);
+      return numbers.length > 0 ? numbers.reduce((total, value) => total * value, 1) : undefined;
+    },
+  },
+  age: {
+    type: "number",
+    compute: ({ field }, getValue) => yearsSince(getValue(field)),
+  },
+};
+
+export const registerComputeFunction = (name, compute, { type } = {}) => {
+  computeFunctions[name] = { compute, type };
+};
+
+export const listComputeFunctions = () => Object.keys(computeFunctions);
+
+// The kind of value a computed field holds ("number", "string"), or
+// undefined when unknown. A `compute` function can declare it as `valueType`.
+export const computedValueType = (field) => {
+  if (field.type !== "computed") return undefined;
+  return typeof field.compute === "function"
+    ? field.valueType
+    : computeFunctions[field.compute?.fn]?.type;
+};
+
+// Field paths a compute expression reads, for checking definitions.
+export const computeReferences = (compute) => {
+  if (!compute || typeof compute !== "object") return [];
+  const fromTemplate = [...(compute.template || "").matchAll(/\{([^}]+)\}/g)].map(([, path]) =>
+    path.trim()
+  );
+  return [compute.field, ...(compute.fields || []), ...fromTemplate].filter(Boolean);
+};
+
+const runCompute = (compute, scope, getValue) => {
+  if (typeof compute === "function") return compute(scope, { getValue });
+  const entry = computeFunctions[compute?.fn];
+  if (!entry) throw new Error(`Unknown compute function "${compute?.fn}"`);
+  return entry.compute(compute, getValue);
+};
+
+// Returns { hasValue, value } for hidden and computed fields, where
+// functions get the values (inside a repeatable group, its entry's) and a
+// `getValue(path)` that resolves like condition paths do.
+export const deriveFieldValue = (field, scope, getValue) => {
+  if (field.type === "hidden") {
+    const value =
+      typeof field.value === "function" ? field.value(scope, { getValue }) : field.value;
+    return { hasValue: true, value };
+  }
+  if (field.type === "computed") {
+    return { hasValue: true, value: runCompute(field.compute, scope, getValue) };
+  }
+  return { hasValue: false, value: undefined };
+};
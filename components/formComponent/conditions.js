@@ -0,0 +1,166 @@
+import { get } from "react-hook-form";
+import { deriveFieldValue } from "./computed";
+
+const isEmpty = (value) => {
+  if (value === undefined || value === null) return true;
+  if (typeof value === "string") return value.trim() === "";
+  if (typeof value.length === "number") return value.length === 0;
+  return false;
+};
+
+// Inputs report strings ("3", "2024-01-31") while configs are often written
+// with numbers, so primitives of different types are compared as strings.
+const isEqual = (a, b) =>
+  a === b ||
+  (a !== null &&
+    b !== null &&
+    a !== undefined &&
+    b !== undefined &&
+    typeof a !== "object" &&
+    typeof b !== "object" &&
+    String(a) === String(b));
+
+// react-hook-form stores copies of objects, so derived objects are compared
+// by content; otherwise writing them would never settle.
+const isSameValue = (a, b) =>
+  isEqual(a, b) ||
+  (typeof a === "object" && a !== null && JSON.stringify(a) === JSON.stringify(b));
+
+const toComparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "string" && value.trim() !== "" && !isNaN(value)) {
+    return Number(value);
+  }
+  return value;
+};
+
+const compare = (test) => (actual, expected) =>
+  !isEmpty(actual) && test(toComparable(actual), toComparable(expected));
+
+const operators = {
+  equals: isEqual,
+  notEquals: (actual, expected) => !isEqual(actual, expected),
+  in: (actual, expected) => expected.some((item) => isEqual(actual, item)),
+  notIn: (actual, expected) => !expected.some((item) => isEqual(actual, item)),
+  gt: compare((a, b) => a > b),
+  gte: compare((a, b) => a >= b),
+  lt: compare((a, b) => a < b),
+  lte: compare((a, b) => a <= b),
+  isEmpty: (actual) => isEmpty(actual),
+  isNotEmpty: (actual) => !isEmpty(actual),
+  matches: (actual, expected) =>
+    !isEmpty(actual) && new RegExp(expected).test(String(actual)),
+  contains: (actual, expected) =>
+    Array.isArray(actual)
+      ? actual.some((item) => isEqual(item, expected))
+      : typeof actual === "string" && actual.includes(expected),
+};
+
+export const CONDITION_OPERATORS = Object.keys(operators);
+
+export const RULE_ACTIONS = ["show", "hide", "enable", "disable", "require", "setValue"];
+
+// Returns a lookup for condition paths. Inside a repeatable group `scope` is
+// the current entry: paths naming one of its fields resolve against it, any
+// other path resolves against the whole form.
+export const createValueGetter = (values, scope = values) => (path) => {
+  if (scope && scope !== values && path.split(".")[0] in scope) {
+    return get(scope, path);
+  }
+  return get(values, path);
+};
+
+export const evaluateCondition = (condition, getValue) => {
+  if (!condition) return true;
+  if (Array.isArray(condition)) {
+    return condition.every((item) => evaluateCondition(item, getValue));
+  }
+  if (condition.and) {
+    return condition.and.every((item) => evaluateCondition(item, getValue));
+  }
+  if (condition.or) {
+    return condition.or.some((item) => evaluateCondition(item, getValue));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, getValue);
+  }
+
+  const { field, operator = "equals", value } = condition;
+  const test = operators[operator];
+  if (!test) {
+    throw new Error(`Unknown condition operator "${operator}" on field "${field}"`);
+  }
+  return test(getValue(field), value);
+};
+
+// Works out how a field should behave for the current values: `conditional`
+// decides visibility, then each entry of `rules` applies its action while its
+// `when` condition holds.
+export const resolveFieldState = (field, getValue) => {
+  const state = {
+    visible: evaluateCondition(field.conditional, getValue),
+    disabled: Boolean(field.disabled),
+    required: false,
+    hasValue: false,
+    value: undefined,
+  };
+
+  (field.rules || []).forEach((rule) => {
+    const active = evaluateCondition(rule.when, getValue);
+
+    switch (rule.action) {
+      case "show":
+        state.visible = state.visible && active;
+        break;
+      case "hide":
+        if (active) state.visible = false;
+        break;
+      case "enable":
+        state.disabled = !active;
+        break;
+      case "disable":
+        if (active) state.disabled = true;
+        break;
+      case "require":
+        if (active) state.required = rule.message || true;
+        break;
+      case "setValue":
+        if (active) {
+          state.hasValue = true;
+          state.value = rule.value;
+        }
+        break;
+      default:
+        throw new Error(`Unknown rule action "${rule.action}" on field "${field.name}"`);
+    }
+  });
+
+  return state;
+};
+
+// Lists the `[name, value]` pairs that active `setValue` rules, hidden
+// fields and computed fields want written into the form, walking into
+// repeatable groups. An active `setValue` rule wins over the field's own
+// value.
+export const collectValueUpdates = (fields, values, scope = values, prefix = "") =>
+  fields.reduce((updates, field) => {
+    const name = `${prefix}${field.name}`;
+    const getValue = createValueGetter(values, scope);
+    const state = resolveFieldState(field, getValue);
+    if (!state.visible) return updates;
+
+    const { hasValue, value } = state.hasValue ? state : deriveFieldValue(field, scope, getValue);
+    if (hasValue && !isSameValue(get(values, name), value)) {
+      updates.push([name, value]);
+    }
+
+    if (field.type === "array") {
+      (get(values, name) || []).forEach((item, index) => {
+        updates.push(
+          ...collectValueUpdates(field.fields, values, item || {}, `${name}.${index}.`)
+        );
+      });
+    }
+
+    return updates;
+  }, []);
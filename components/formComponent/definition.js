@@ -0,0 +1,321 @@
+import * as yup from "yup";
+import { getLegalText } from "@/lib/legalTexts";
+import { getPhoneCountry } from "@/lib/phone";
+import { computeReferences, listComputeFunctions } from "./computed";
+import { CONDITION_OPERATORS, RULE_ACTIONS } from "./conditions";
+import { resolveFieldType } from "./fieldRegistry";
+import { createSubmitAdapter, hasSubmitAdapter } from "./submitAdapters";
+
+// A form definition is the JSON counterpart of ReusableForm's props: the
+// fields, steps and texts of a form plus where to submit it. `version` is
+// bumped whenever the format changes in a way older readers can't follow.
+export const DEFINITION_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const isLayoutType = (type, components) =>
+  type === "section" || Boolean(resolveFieldType(type, components)?.layout);
+
+const isRegExpSource = (source, flags) => {
+  try {
+    new RegExp(source, flags);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const conditionSchema = yup.lazy((condition) => {
+  if (condition === undefined) return yup.mixed();
+  if (Array.isArray(condition)) return yup.array().of(conditionSchema);
+  if (condition?.and) return yup.object({ and: yup.array().of(conditionSchema) });
+  if (condition?.or) return yup.object({ or: yup.array().of(conditionSchema) });
+  if (condition?.not) return yup.object({ not: conditionSchema });
+  return yup.object({
+    field: yup.string().required(),
+    operator: yup.string().oneOf(CONDITION_OPERATORS),
+  });
+});
+
+// Regular expressions can't be written in JSON, so `pattern` is their
+// source, bare or as { value, flags, message }.
+const patternSchema = yup
+  .mixed()
+  .test("pattern", "${path} must be a valid regular expression", (pattern) => {
+    if (pattern === undefined) return true;
+    if (typeof pattern === "string") return isRegExpSource(pattern);
+    return typeof pattern?.value === "string" && isRegExpSource(pattern.value, pattern.flags);
+  });
+
+const colSpanSchema = yup
+  .mixed()
+  .test("colSpan", "${path} must be 1 to 12, or an object of them per breakpoint", (colSpan) => {
+    const isSpan = (span) => Number.isInteger(span) && span >= 1 && span <= 12;
+    if (colSpan === undefined) return true;
+    if (typeof colSpan === "object" && colSpan !== null) {
+      return Object.values(colSpan).every(isSpan);
+    }
+    return isSpan(colSpan);
+  });
+
+const uniqueNames = (fields) => {
+  const names = (fields || []).map((field) => field?.name).filter(Boolean);
+  return names.length === new Set(names).size;
+};
+
+const fieldsSchema = (components) =>
+  yup
+    .array()
+    .of(fieldSchema(components))
+    .test("unique", "${path} must not repeat a field name", uniqueNames);
+
+const fieldSchema = (components) =>
+  yup.lazy((field) => {
+    const layout = isLayoutType(field?.type, components);
+    return yup.object({
+      type: yup
+        .string()
+        .required()
+        .test(
+          "known",
+          ({ path, value }) => `${path} "${value}" is not a known field type`,
+          (type) => !type || type === "section" || Boolean(resolveFieldType(type, components))
+        ),
+      name: layout
+        ? yup.string()
+        : yup
+            .string()
+            .required()
+            .matches(NAME_PATTERN, "${path} must be letters, digits and underscores"),
+      label: yup.string(),
+      title: field?.type === "section" ? yup.string().required() : yup.string(),
+      text: field?.type === "consent" ? yup.string().required() : yup.mixed(),
+      defaultCountry: yup.string(),
+      countries: yup.array().of(yup.string()),
+      compute:
+        field?.type === "computed"
+          ? yup
+              .object({
+                fn: yup
+                  .string()
+                  .required()
+                  .oneOf(listComputeFunctions(), "${path} must be one of ${values}"),
+                field: yup.string(),
+                fields: yup.array().of(yup.string()),
+                template: yup.string(),
+              })
+              .required()
+          : yup.mixed(),
+      options: yup.array().of(
+        yup.object({ value: yup.mixed().required(), label: yup.string().required() })
+      ),
+      conditional: conditionSchema,
+      rules: yup.array().of(
+        yup.object({
+          when: conditionSchema,
+          action: yup.string().required().oneOf(RULE_ACTIONS),
+        })
+      ),
+      validation: yup.object({ pattern: patternSchema }),
+      colSpan: colSpanSchema,
+      fields:
+        field?.type === "array" ? fieldsSchema(components).min(1).required() : yup.mixed(),
+    });
+  });
+
+const definitionSchema = (components) =>
+  yup
+    .object({
+      version: yup
+        .number()
+        .required()
+        .oneOf(SUPPORTED_VERSIONS, "${path} must be one of ${values}"),
+      id: yup.string().required().matches(ID_PATTERN, "${path} must be lowercase letters, digits and dashes"),
+      title: yup.string(),
+      description: yup.string(),
+      locale: yup.string(),
+      messages: yup.object(),
+      theme: yup.mixed(),
+      persist: yup.mixed(),
+      attribution: yup.boolean(),
+      fields: fieldsSchema(components).min(1).required(),
+      steps: yup.array().of(
+        yup.object({
+          title: yup.string().required(),
+          fields: yup.array().of(yup.string()).min(1).required(),
+        })
+      ),
+      // Keys other than these are options of the adapter.
+      submit: yup
+        .object({
+          adapter: yup
+            .string()
+            .test(
+              "known",
+              ({ path, value }) => `${path} "${value}" is not a registered submit adapter`,
+              (adapter) => !adapter || hasSubmitAdapter(adapter)
+            ),
+          url: yup.string().when("adapter", {
+            is: (adapter) => !adapter || adapter === "http",
+            then: (schema) => schema.required(),
+          }),
+          submitText: yup.string(),
+          submittingText: yup.string(),
+          successText: yup.string(),
+          errorText: yup.string(),
+          successRedirect: yup.string(),
+          resetOnSuccess: yup.boolean(),
+        })
+        .default(undefined),
+    })
+    .noUnknown(({ unknown }) => `definition has unknown keys: ${unknown}`);
+
+// Conditions name fields by path and steps list field names; both must
+// point at fields of the definition. Inside a repeatable group, conditions
+// may also name the group's own fields, and so may compute expressions.
+// Consent fields must name a legal text (and version) that exists.
+const collectReferenceErrors = (definition) => {
+  const errors = [];
+  const topLevel = (definition.fields || []).map((field) => field.name).filter(Boolean);
+
+  const checkCondition = (condition, names, path) => {
+    if (!condition) return;
+    if (Array.isArray(condition)) {
+      condition.forEach((item, index) => checkCondition(item, names, `${path}[${index}]`));
+    } else if (condition.and || condition.or) {
+      const key = condition.and ? "and" : "or";
+      condition[key].forEach((item, index) =>
+        checkCondition(item, names, `${path}.${key}[${index}]`)
+      );
+    } else if (condition.not) {
+      checkCondition(condition.not, names, `${path}.not`);
+    } else if (condition.field && !names.includes(condition.field.split(".")[0])) {
+      errors.push(`${path}.field "${condition.field}" is not a field of this form`);
+    }
+  };
+
+  const checkFields = (fields, names, path) =>
+    fields.forEach((field, index) => {
+      const fieldPath = `${path}[${index}]`;
+      checkCondition(field.conditional, names, `${fieldPath}.conditional`);
+      (field.rules || []).forEach((rule, ruleIndex) =>
+        checkCondition(rule.when, names, `${fieldPath}.rules[${ruleIndex}].when`)
+      );
+      computeReferences(field.compute).forEach((reference) => {
+        if (!names.includes(reference.split(".")[0])) {
+          errors.push(`${fieldPath}.compute reads "${reference}", which is not a field of this form`);
+        }
+      });
+      if (field.type === "consent" && !getLegalText(field.text, field.version)) {
+        const version = field.version === undefined ? "" : ` version "${field.version}"`;
+        errors.push(`${fieldPath}.text "${field.text}"${version} is not a legal text`);
+      }
+      if (field.type === "phone") {
+        const unknownCountry = (code, codePath) => {
+          if (code !== undefined && !getPhoneCountry(code)) {
+            errors.push(`${codePath} "${code}" is not a country with phone metadata`);
+          }
+        };
+        unknownCountry(field.defaultCountry, `${fieldPath}.defaultCountry`);
+        (field.countries || []).forEach((code, codeIndex) =>
+          unknownCountry(code, `${fieldPath}.countries[${codeIndex}]`)
+        );
+      }
+      if (field.type === "array" && Array.isArray(field.fields)) {
+        const nested = field.fields.map((item) => item.name).filter(Boolean);
+        checkFields(field.fields, [...nested, ...topLevel], `${fieldPath}.fields`);
+      }
+    });
+
+  checkFields(definition.fields, topLevel, "fields");
+  (definition.steps || []).forEach((step, index) =>
+    (step.fields || []).forEach((name, nameIndex) => {
+      if (!topLevel.includes(name)) {
+        errors.push(`steps[${index}].fields[${nameIndex}] "${name}" is not a field of this form`);
+      }
+    })
+  );
+  return errors;
+};
+
+// Returns { valid, errors }, errors being readable messages that start with
+// the path of the offending value. Pass the form's `components` when the
+// definition uses field types registered only for that form.
+export const validateDefinition = (definition, { components } = {}) => {
+  if (typeof definition !== "object" || definition === null || Array.isArray(definition)) {
+    return { valid: false, errors: ["definition must be an object"] };
+  }
+
+  let errors = [];
+  try {
+    definitionSchema(components).validateSync(definition, { abortEarly: false, strict: true });
+  } catch (error) {
+    if (!(error instanceof yup.ValidationError)) throw error;
+    errors = error.errors;
+  }
+  // References are only worth checking on a well-formed definition.
+  if (errors.length === 0) errors = collectReferenceErrors(definition);
+
+  return { valid: errors.length === 0, errors };
+};
+
+const toRegExp = (pattern) =>
+  typeof pattern === "string"
+    ? new RegExp(pattern)
+    : { value: new RegExp(pattern.value, pattern.flags), message: pattern.message };
+
+const toFieldConfig = (field) => {
+  let config = field;
+  if (field.validation?.pattern) {
+    config = {
+      ...config,
+      validation: { ...field.validation, pattern: toRegExp(field.validation.pattern) },
+    };
+  }
+  if (field.type === "array") {
+    config = { ...config, fields: field.fields.map(toFieldConfig) };
+  }
+  return config;
+};
+
+// Turns a definition into ReusableForm props. Invalid definitions throw,
+// listing every problem found.
+export const definitionToProps = (definition, { components } = {}) => {
+  const { valid, errors } = validateDefinition(definition, { components });
+  if (!valid) {
+    throw new Error(`Invalid form definition "${definition?.id}":\n- ${errors.join("\n- ")}`);
+  }
+
+  const { fields, steps, locale, messages, theme, persist, attribution, submit } = definition;
+  const {
+    adapter = "http",
+    submitText,
+    submittingText,
+    successText,
+    errorText,
+    successRedirect,
+    resetOnSuccess,
+    ...adapterOptions
+  } = submit || {};
+
+  return {
+    fields: fields.map(toFieldConfig),
+    steps,
+    locale,
+    messages,
+    theme,
+    persist,
+    attribution,
+    ...(submit && {
+      submitAdapter: createSubmitAdapter(adapter, adapterOptions),
+      submitText,
+      submittingText,
+      successText,
+      errorText,
+      successRedirect,
+      resetOnSuccess,
+    }),
+  };
+};
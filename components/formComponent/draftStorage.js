@@ -0,0 +1,27 @@
+// Storage adapters for draft persistence. Any object with getItem, setItem
+// and removeItem works; methods may return promises, so a remote store can be
+// plugged in as well.
+
+export const localStorageAdapter = {
+  getItem: (key) =>
+    typeof window === "undefined" ? null : window.localStorage.getItem(key),
+  setItem: (key, value) => {
+    if (typeof window !== "undefined") window.localStorage.setItem(key, value);
+  },
+  removeItem: (key) => {
+    if (typeof window !== "undefined") window.localStorage.removeItem(key);
+  },
+};
+
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, value);
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+  };
+};
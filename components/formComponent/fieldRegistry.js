@@ -0,0 +1,111 @@
+import * as yup from "yup";
+import { toAddress } from "@/lib/geocoding/address";
+import { getLegalText, isAcceptedLegalText } from "@/lib/legalTexts";
+import { isValidE164 } from "@/lib/phone";
+import { computedValueType } from "./computed";
+import AddressInput from "./fields/AddressInput";
+import CheckboxInput from "./fields/CheckboxInput";
+import ComputedInput from "./fields/ComputedInput";
+import ConsentInput from "./fields/ConsentInput";
+import ContentBlock from "./fields/ContentBlock";
+import Divider from "./fields/Divider";
+import FieldArray from "./fields/FieldArray";
+import FileInput from "./fields/FileInput";
+import PhoneInput from "./fields/PhoneInput";
+import RadioGroup from "./fields/RadioGroup";
+import RatingInput from "./fields/RatingInput";
+import SelectInput from "./fields/SelectInput";
+import TextareaInput from "./fields/TextareaInput";
+import TextInput from "./fields/TextInput";
+
+// An entry is either a bare component or { component, ...options }:
+// - showLabel: false when the component renders the field label itself
+// - showError: false when the component renders its own error message
+// - group: true when the component renders several controls; the label is
+//   then rendered as the legend of a fieldset around them
+// - layout: true for items that hold no value (content, dividers); they get
+//   no label, error or schema
+// - hidden: true (or a function of the field) when nothing is rendered; the
+//   value only lives in the form state
+// - schema: (field, t) => yup schema used as the field's base type
+const toEntry = (entry, options = {}) =>
+  entry && entry.component ? { ...options, ...entry } : { ...options, component: entry };
+
+// Values are E.164; how many digits are valid depends on the country, which
+// must be one of the field's `countries`.
+const phoneSchema = (field, t) =>
+  yup
+    .string()
+    .test(
+      "phone",
+      t("validation.phone"),
+      (value) => !value || isValidE164(value, field.countries)
+    );
+
+// Picked or typed, an address needs at least its town. Typed parts are
+// trimmed on the way out.
+const addressSchema = (field, t) =>
+  yup
+    .mixed()
+    .nullable()
+    .transform((value) => (value ? toAddress(value) : null))
+    .test("address", t("validation.address"), (value) => !value || Boolean(value.city?.trim()));
+
+// Numbers can be checked with min and max, e.g. a minimum age.
+const computedSchema = (field) => {
+  const valueType = computedValueType(field);
+  if (valueType === "number") {
+    return yup.number().transform((value, originalValue) =>
+      originalValue === "" || originalValue === null ? undefined : value
+    );
+  }
+  return valueType === "string" ? yup.string() : yup.mixed();
+};
+
+// A consent to another version of the text (e.g. from an old draft) counts
+// as not given.
+const consentSchema = (field) => {
+  const text = getLegalText(field.text, field.version);
+  return yup
+    .mixed()
+    .nullable()
+    .transform((value) => (isAcceptedLegalText(value, text) ? value : null));
+};
+
+const fieldTypes = {
+  text: toEntry(TextInput),
+  email: toEntry(TextInput),
+  password: toEntry(TextInput),
+  date: toEntry(TextInput),
+  phone: toEntry(PhoneInput, { schema: phoneSchema }),
+  address: toEntry(AddressInput, { schema: addressSchema }),
+  textarea: toEntry(TextareaInput),
+  select: toEntry(SelectInput),
+  radio: toEntry(RadioGroup, { group: true }),
+  checkbox: toEntry(CheckboxInput, { showLabel: false }),
+  consent: toEntry(ConsentInput, { showLabel: false, schema: consentSchema }),
+  file: toEntry(FileInput),
+  rating: toEntry(RatingInput, { group: true }),
+  array: toEntry(FieldArray, { showLabel: false, showError: false }),
+  hidden: toEntry(null, { hidden: true, schema: () => yup.mixed() }),
+  computed: toEntry(ComputedInput, {
+    hidden: (field) => !field.display,
+    schema: computedSchema,
+  }),
+  content: toEntry(ContentBlock, { layout: true }),
+  divider: toEntry(Divider, { layout: true }),
+};
+
+export const registerFieldType = (type, component, options) => {
+  fieldTypes[type] = toEntry(component, options);
+};
+
+// Whether a field of this type renders nothing.
+export const isHiddenField = (fieldType, field) =>
+  typeof fieldType.hidden === "function" ? fieldType.hidden(field) : Boolean(fieldType.hidden);
+
+// Per-form `components` take precedence over the registered types.
+export const resolveFieldType = (type, components = {}) =>
+  components[type] ? toEntry(components[type]) : fieldTypes[type];
+
+export const listFieldTypes = () => Object.keys(fieldTypes);
@@ -0,0 +1,225 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useController } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import { toAddress } from "@/lib/geocoding/address";
+import { createHttpGeocodingProvider } from "@/lib/geocoding/httpProvider";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+
+const defaultProvider = createHttpGeocodingProvider();
+
+const MIN_QUERY_LENGTH = 2;
+// Searches wait for a pause in typing, so a provider isn't called per key.
+const SEARCH_DELAY = 250;
+
+// The inputs of manual entry and their widths out of 6 columns.
+const MANUAL_PARTS = [
+  { part: "street", span: "sm:col-span-6" },
+  { part: "postalCode", span: "sm:col-span-2" },
+  { part: "city", span: "sm:col-span-3" },
+  { part: "province", span: "sm:col-span-1" },
+  { part: "country", span: "sm:col-span-2" },
+];
+
+// An address typeahead. Suggestions come from `field.provider` (by default
+// the /api/geocoding route) and the value is the picked address, see
+// lib/geocoding/address.js. Addresses the provider can't find are typed
+// part by part instead.
+export default function AddressInput({ field, name, control, disabled, required, aria }) {
+  const {
+    field: { value, onChange, onBlur, ref },
+  } = useController({ name, control });
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+  const provider = field.provider || defaultProvider;
+  const limit = field.limit || 5;
+
+  const [isManual, setIsManual] = useState(false);
+  const [query, setQuery] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [status, setStatus] = useState("idle");
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  useEffect(() => {
+    const text = query.trim();
+    if (!isOpen || text.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      setStatus("idle");
+      return undefined;
+    }
+    const controller = new AbortController();
+    setStatus("loading");
+    const timer = setTimeout(() => {
+      provider
+        .search(text, { limit, signal: controller.signal })
+        .then((results) => {
+          setSuggestions(results);
+          setActiveIndex(0);
+          setStatus("ready");
+        })
+        .catch(() => {
+          if (!controller.signal.aborted) setStatus("error");
+        });
+    }, SEARCH_DELAY);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, isOpen, provider, limit]);
+
+  const listId = `${name}-listbox`;
+
+  const open = () => {
+    setQuery(value?.formatted || "");
+    setIsOpen(true);
+  };
+
+  const close = () => {
+    setIsOpen(false);
+    setSuggestions([]);
+  };
+
+  const select = (suggestion) => {
+    onChange(suggestion.address);
+    close();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      if (!isOpen) return open();
+      setActiveIndex((index) => Math.min(index + 1, suggestions.length - 1));
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (event.key === "Enter" && isOpen) {
+      event.preventDefault();
+      if (suggestions[activeIndex]) select(suggestions[activeIndex]);
+    } else if (event.key === "Escape") {
+      close();
+    }
+  };
+
+  const switchButton = (
+    <button
+      type="button"
+      onClick={() => setIsManual(!isManual)}
+      disabled={disabled}
+      className={cn(theme.link, "mt-1 text-sm")}
+    >
+      {t(isManual ? "address.search" : "address.manual")}
+    </button>
+  );
+
+  if (isManual) {
+    // Typed parts have no coordinates, even when they edit a suggestion.
+    const setPart = (part) => (event) =>
+      onChange(
+        toAddress({ ...value, [part]: event.target.value, coordinates: null }, { trim: false })
+      );
+
+    return (
+      <div>
+        <div className="grid grid-cols-1 gap-2 sm:grid-cols-6">
+          {MANUAL_PARTS.map(({ part, span }, index) => (
+            <div key={part} className={span}>
+              <label htmlFor={index === 0 ? name : `${name}-${part}`} className={theme.label}>
+                {t(`address.${part}`)}
+              </label>
+              <input
+                id={index === 0 ? name : `${name}-${part}`}
+                ref={index === 0 ? ref : undefined}
+                type="text"
+                value={value?.[part] ?? (part === "country" ? "IT" : "")}
+                onChange={setPart(part)}
+                onBlur={onBlur}
+                disabled={disabled}
+                aria-required={(required && part === "city") || undefined}
+                {...aria}
+                className={theme.input}
+              />
+            </div>
+          ))}
+        </div>
+        {switchButton}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="relative">
+        <input
+          id={name}
+          ref={ref}
+          type="text"
+          role="combobox"
+          autoComplete="off"
+          aria-autocomplete="list"
+          aria-expanded={isOpen}
+          aria-controls={listId}
+          aria-busy={status === "loading"}
+          aria-activedescendant={
+            isOpen && suggestions[activeIndex] ? `${listId}-${activeIndex}` : undefined
+          }
+          value={isOpen ? query : value?.formatted ?? ""}
+          placeholder={field.placeholder}
+          disabled={disabled}
+          aria-required={required || undefined}
+          {...aria}
+          onChange={(event) => {
+            setQuery(event.target.value);
+            if (!isOpen) setIsOpen(true);
+          }}
+          onFocus={open}
+          onBlur={() => {
+            // Clearing the text clears the address.
+            if (isOpen && !query.trim()) onChange(null);
+            close();
+            onBlur();
+          }}
+          onKeyDown={handleKeyDown}
+          className={theme.input}
+        />
+
+        {isOpen && status !== "idle" && (
+          <ul id={listId} role="listbox" className={theme.listbox}>
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={suggestion.id}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseDown={(event) => {
+                  // Keep focus on the input so onBlur doesn't close the list first.
+                  event.preventDefault();
+                  select(suggestion);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={cn(
+                  "cursor-pointer px-3 py-1.5",
+                  index === activeIndex ? theme.activeOption : theme.option
+                )}
+              >
+                {suggestion.label}
+              </li>
+            ))}
+            {status === "loading" && suggestions.length === 0 && (
+              <li className={theme.listMessage}>{t("options.loading")}</li>
+            )}
+            {status === "ready" && suggestions.length === 0 && (
+              <li className={theme.listMessage}>{t("options.noMatches")}</li>
+            )}
+            {status === "error" && (
+              <li className={theme.listMessage}>{t("address.searchError")}</li>
+            )}
+          </ul>
+        )}
+      </div>
+      {switchButton}
+    </div>
+  );
+}
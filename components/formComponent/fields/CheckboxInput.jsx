@@ -0,0 +1,28 @@
+"use client";
+
+import { cn } from "@/lib/utils";
+import { useFormTheme } from "../theme";
+import RequiredMark from "./RequiredMark";
+
+// The label sits next to the box, so the form doesn't render one above it.
+export default function CheckboxInput({ field, name, register, disabled, required, aria }) {
+  const theme = useFormTheme();
+
+  return (
+    <label htmlFor={name} className={cn(theme.label, "mb-0 flex items-center gap-2", field.labelClassName)}>
+      <input
+        id={name}
+        type="checkbox"
+        {...register(name)}
+        disabled={disabled}
+        aria-required={required || undefined}
+        {...aria}
+        className={theme.checkbox}
+      />
+      <span>
+        {field.label}
+        {required && <RequiredMark />}
+      </span>
+    </label>
+  );
+}
@@ -0,0 +1,138 @@
+"use client";
+
+import { useState } from "react";
+import { useController } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+
+// Only the first matches are rendered so long lists stay responsive while
+// the user narrows them down by typing.
+const MAX_RESULTS = 50;
+
+export default function Combobox({
+  id,
+  name,
+  control,
+  options,
+  disabled,
+  placeholder,
+  required,
+  aria,
+}) {
+  const {
+    field: { value, onChange, onBlur, ref },
+  } = useController({ name, control });
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  const [query, setQuery] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const listId = `${id}-listbox`;
+  const selected = options.find((option) => String(option.value) === String(value));
+  const matches = options.filter(
+    (option) =>
+      option.value !== "" &&
+      String(option.label).toLowerCase().includes(query.trim().toLowerCase())
+  );
+  const visibleMatches = matches.slice(0, MAX_RESULTS);
+
+  const open = () => {
+    setIsOpen(true);
+    setActiveIndex(0);
+  };
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery("");
+  };
+
+  const select = (option) => {
+    onChange(option.value);
+    close();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      if (!isOpen) return open();
+      setActiveIndex((index) => Math.min(index + 1, visibleMatches.length - 1));
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (event.key === "Enter" && isOpen) {
+      event.preventDefault();
+      if (visibleMatches[activeIndex]) select(visibleMatches[activeIndex]);
+    } else if (event.key === "Escape") {
+      close();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        ref={ref}
+        type="text"
+        role="combobox"
+        autoComplete="off"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={listId}
+        aria-activedescendant={
+          isOpen && visibleMatches[activeIndex] ? `${listId}-${activeIndex}` : undefined
+        }
+        value={isOpen ? query : selected?.label ?? ""}
+        placeholder={placeholder}
+        disabled={disabled}
+        aria-required={required || undefined}
+        {...aria}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          if (!isOpen) setIsOpen(true);
+          setActiveIndex(0);
+        }}
+        onFocus={open}
+        onBlur={() => {
+          close();
+          onBlur();
+        }}
+        onKeyDown={handleKeyDown}
+        className={theme.input}
+      />
+
+      {isOpen && (
+        <ul id={listId} role="listbox" className={theme.listbox}>
+          {visibleMatches.map((option, index) => (
+            <li
+              key={option.value}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={String(option.value) === String(value)}
+              onMouseDown={(event) => {
+                // Keep focus on the input so onBlur doesn't close the list first.
+                event.preventDefault();
+                select(option);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={cn(
+                "cursor-pointer px-3 py-1.5",
+                index === activeIndex ? theme.activeOption : theme.option
+              )}
+            >
+              {option.label}
+            </li>
+          ))}
+          {matches.length === 0 && (
+            <li className={theme.listMessage}>{t("options.noMatches")}</li>
+          )}
+          {matches.length > MAX_RESULTS && (
+            <li className={theme.listMessage}>{t("options.keepTyping")}</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+"use client";
+
+import { useWatch } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import { useFormTheme } from "../theme";
+
+// Shows a computed field's value read-only. The value itself is written by
+// the form, see computed.js.
+export default function ComputedInput({ field, name, control, aria }) {
+  const value = useWatch({ control, name });
+  const theme = useFormTheme();
+
+  return (
+    <input
+      id={name}
+      type="text"
+      readOnly
+      value={value ?? ""}
+      {...aria}
+      className={cn(theme.input, "cursor-default opacity-75")}
+      placeholder={field.placeholder}
+    />
+  );
+}
@@ -0,0 +1,70 @@
+"use client";
+
+import { useState } from "react";
+import { useController } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import { acceptLegalText, getLegalText, isAcceptedLegalText } from "@/lib/legalTexts";
+import ConsentDialog from "../ConsentDialog";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+import RequiredMark from "./RequiredMark";
+
+// A checkbox bound to a version of a legal text. Ticking it, or accepting
+// the text in its dialog, stores { accepted, text, version, acceptedAt }.
+export default function ConsentInput({ field, name, control, disabled, required, aria }) {
+  const {
+    field: { value, onChange, onBlur, ref },
+  } = useController({ name, control });
+  const [open, setOpen] = useState(false);
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  const text = getLegalText(field.text, field.version);
+  if (!text) {
+    throw new Error(`Unknown legal text "${field.text}" for consent field "${name}"`);
+  }
+
+  const accept = () => {
+    onChange(acceptLegalText(text));
+    onBlur();
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor={name} className={cn(theme.label, "mb-0 flex items-center gap-2", field.labelClassName)}>
+        <input
+          id={name}
+          ref={ref}
+          type="checkbox"
+          checked={isAcceptedLegalText(value, text)}
+          onChange={(event) => {
+            onChange(event.target.checked ? acceptLegalText(text) : null);
+            onBlur();
+          }}
+          disabled={disabled}
+          aria-required={required || undefined}
+          {...aria}
+          className={theme.checkbox}
+        />
+        <span>
+          {field.label || text.title}
+          {required && <RequiredMark />}
+        </span>
+      </label>
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        aria-label={t("consent.readLabel", { title: text.title })}
+        className={cn(theme.link, "text-sm")}
+      >
+        {t("consent.read")}
+      </button>
+      <ConsentDialog
+        text={text}
+        open={open}
+        onOpenChange={setOpen}
+        onAccept={disabled ? undefined : accept}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+"use client";
+
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+
+// Static text between fields: `content` is a string (or translation key) or
+// any React node; `html` is rendered as is, so it must come from a trusted
+// source.
+export default function ContentBlock({ field }) {
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  if (field.html) {
+    return <div className={theme.content} dangerouslySetInnerHTML={{ __html: field.html }} />;
+  }
+  return (
+    <div className={theme.content}>
+      {typeof field.content === "string" ? <p>{t(field.content)}</p> : field.content}
+    </div>
+  );
+}
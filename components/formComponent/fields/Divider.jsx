@@ -0,0 +1,8 @@
+"use client";
+
+import { useFormTheme } from "../theme";
+
+export default function Divider() {
+  const theme = useFormTheme();
+  return <hr className={theme.divider} />;
+}
@@ -0,0 +1,143 @@
+"use client";
+
+import { useFieldArray, useWatch } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import { useTranslation } from "../i18n";
+import { GRID_CLASS_NAME } from "../layout";
+import { useFormTheme } from "../theme";
+import RequiredMark from "./RequiredMark";
+
+const emptyValue = (field) => {
+  if (field.type === "checkbox") return false;
+  if (field.type === "array") return buildItems(field, field.min);
+  return "";
+};
+
+const emptyItem = (field) =>
+  field.fields.reduce((item, subField) => {
+    item[subField.name] = emptyValue(subField);
+    return item;
+  }, {});
+
+const buildItems = (field, count = 0) =>
+  Array.from({ length: count }, () => emptyItem(field));
+
+// Repeatable groups start with `min` empty items so required entries are
+// visible straight away.
+export const buildArrayDefaults = (fields) =>
+  fields.reduce((defaults, field) => {
+    if (field.type === "array") {
+      defaults[field.name] = buildItems(field, field.min);
+    }
+    return defaults;
+  }, {});
+
+// Secondary buttons, made smaller.
+const controlClassName =
+  "rounded-md px-2 py-1 text-sm font-medium shadow-none disabled:cursor-not-allowed disabled:opacity-50";
+
+export default function FieldArray({
+  field,
+  name,
+  control,
+  renderField,
+  error,
+  disabled,
+  required,
+}) {
+  const { fields: items, append, remove, move } = useFieldArray({
+    control,
+    name,
+  });
+  const entries = useWatch({ control, name });
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  const min = field.min || 0;
+  const max = field.max ?? Infinity;
+  const itemLabel = field.itemLabel || field.label;
+  const groupError = error?.root || (error?.message ? error : null);
+
+  return (
+    <fieldset
+      disabled={disabled}
+      aria-describedby={groupError ? `${name}-error` : undefined}
+    >
+      <legend className={theme.label}>
+        {field.label}
+        {required && <RequiredMark announce />}
+      </legend>
+
+      {items.map((item, index) => {
+        const itemName = `${name}.${index}`;
+        const itemValues = entries?.[index] || {};
+
+        return (
+          <div
+            key={item.id}
+            className={cn(theme.panel, "mb-3 p-3")}
+          >
+            <div className="mb-2 flex items-center justify-between gap-2">
+              <span className={cn("text-sm font-semibold", theme.text)}>
+                {itemLabel} {index + 1}
+              </span>
+              <div className="flex gap-1">
+                <button
+                  type="button"
+                  onClick={() => move(index, index - 1)}
+                  disabled={index === 0}
+                  aria-label={t("array.moveUp", { item: itemLabel, index: index + 1 })}
+                  className={cn(theme.secondaryButton, controlClassName)}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => move(index, index + 1)}
+                  disabled={index === items.length - 1}
+                  aria-label={t("array.moveDown", { item: itemLabel, index: index + 1 })}
+                  className={cn(theme.secondaryButton, controlClassName)}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => remove(index)}
+                  disabled={items.length <= min}
+                  className={cn(theme.secondaryButton, controlClassName)}
+                >
+                  {t("array.remove")}
+                </button>
+              </div>
+            </div>
+
+            <div className={GRID_CLASS_NAME}>
+              {field.fields.map((subField, subIndex) =>
+                renderField(
+                  subField,
+                  `${itemName}.${subField.name || `${subField.type}-${subIndex}`}`,
+                  itemValues
+                )
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={() => append(emptyItem(field))}
+        disabled={items.length >= max}
+        className={cn(theme.secondaryButton, controlClassName)}
+      >
+        {field.addLabel || t("array.add", { item: itemLabel })}
+      </button>
+
+      {groupError && (
+        <div id={`${name}-error`} className={theme.error}>
+          {groupError.message}
+        </div>
+      )}
+    </fieldset>
+  );
+}
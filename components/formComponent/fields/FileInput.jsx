@@ -0,0 +1,187 @@
+"use client";
+
+import Image from "next/image";
+import { useContext, useEffect, useRef, useState } from "react";
+import { useController } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+import { UploadProgressContext, formatFileSize, toAcceptList } from "../uploads";
+
+const isImage = (file) => file instanceof Blob && file.type.startsWith("image/");
+
+function FilePreview({ file }) {
+  const theme = useFormTheme();
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!isImage(file) || typeof URL.createObjectURL !== "function") return;
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  if (url) {
+    // Object URLs can't go through the image optimizer.
+    return (
+      <Image
+        src={url}
+        alt=""
+        width={40}
+        height={40}
+        unoptimized
+        className="h-10 w-10 rounded object-cover"
+      />
+    );
+  }
+  return (
+    <span
+      className={cn(
+        "flex h-10 w-10 items-center justify-center rounded text-xs font-medium uppercase",
+        theme.thumbnail
+      )}
+    >
+      {file.name?.split(".").pop().slice(0, 4) || "file"}
+    </span>
+  );
+}
+
+// Keeps the picked files as an array in the form state, so files can be
+// added in several goes and removed one by one (a FileList can't).
+export default function FileInput({ field, name, control, disabled, required, aria = {} }) {
+  const {
+    field: { value, onChange, onBlur, ref },
+  } = useController({ name, control });
+  const progress = useContext(UploadProgressContext)[name] || {};
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef(null);
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  const files = value ? Array.from(value) : [];
+  const accept = field.accept ? toAcceptList(field.accept).join(",") : undefined;
+
+  const addFiles = (list) => {
+    const picked = Array.from(list || []);
+    if (picked.length === 0) return;
+    onChange(field.multiple ? [...files, ...picked] : picked.slice(0, 1));
+    onBlur();
+  };
+
+  const removeFile = (index) => {
+    onChange(files.filter((_, current) => current !== index));
+    onBlur();
+  };
+
+  const hints = [
+    field.accept && t("file.accepted", { types: toAcceptList(field.accept).join(", ") }),
+    field.maxSize && t("file.maxSize", { size: formatFileSize(field.maxSize) }),
+    field.maxFiles && t("file.maxFiles", { count: field.maxFiles }),
+  ].filter(Boolean);
+
+  return (
+    <div className="mt-1">
+      <div
+        onDragOver={(event) => {
+          event.preventDefault();
+          if (!disabled) setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(event) => {
+          event.preventDefault();
+          setDragging(false);
+          if (!disabled) addFiles(event.dataTransfer.files);
+        }}
+        className={cn(
+          "rounded-md border-2 border-dashed px-4 py-6 text-center text-sm",
+          dragging ? theme.activeDropzone : theme.dropzone,
+          disabled && "opacity-50"
+        )}
+      >
+        <input
+          id={name}
+          type="file"
+          ref={(element) => {
+            inputRef.current = element;
+            ref(element);
+          }}
+          multiple={Boolean(field.multiple)}
+          accept={accept}
+          disabled={disabled}
+          aria-required={required || undefined}
+          {...aria}
+          aria-describedby={
+            [hints.length > 0 && `${name}-hint`, aria["aria-describedby"]]
+              .filter(Boolean)
+              .join(" ") || undefined
+          }
+          onChange={(event) => {
+            addFiles(event.target.files);
+            // Lets the same file be picked again after removing it.
+            event.target.value = "";
+          }}
+          className="sr-only"
+        />
+        <p>
+          {t("file.drop", { multiple: Boolean(field.multiple) })}{" "}
+          <button
+            type="button"
+            onClick={() => inputRef.current?.click()}
+            disabled={disabled}
+            className={cn(theme.link, "font-semibold no-underline")}
+          >
+            {t("file.browse")}
+          </button>
+        </p>
+        {hints.length > 0 && (
+          <p id={`${name}-hint`} className={`${theme.hint} text-xs`}>
+            {hints.join(", ")}
+          </p>
+        )}
+      </div>
+
+      {files.length > 0 && (
+        <ul className="mt-2 space-y-2">
+          {files.map((file, index) => (
+            <li
+              key={`${file.name || file}-${index}`}
+              className={cn(theme.panel, "flex items-center gap-3 p-2 text-sm")}
+            >
+              <FilePreview file={file} />
+              <div className="min-w-0 flex-1">
+                <p className={cn("truncate", theme.text)}>{file.name || String(file)}</p>
+                {file.size !== undefined && (
+                  <p className={cn("text-xs", theme.mutedText)}>{formatFileSize(file.size)}</p>
+                )}
+                {progress[index] !== undefined && (
+                  <div
+                    role="progressbar"
+                    aria-label={t("file.uploading", { name: file.name })}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={Math.round(progress[index] * 100)}
+                    className={cn("mt-1 h-1 rounded", theme.progressTrack)}
+                  >
+                    <div
+                      className={cn("h-1 rounded", theme.progressBar)}
+                      style={{ width: `${Math.round(progress[index] * 100)}%` }}
+                    />
+                  </div>
+                )}
+              </div>
+              <button
+                type="button"
+                onClick={() => removeFile(index)}
+                disabled={disabled}
+                aria-label={t("file.removeLabel", { name: file.name || String(file) })}
+                className={cn("text-sm", theme.removeButton)}
+              >
+                {t("file.remove")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
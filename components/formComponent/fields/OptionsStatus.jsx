@@ -0,0 +1,37 @@
+"use client";
+
+import { cn } from "@/lib/utils";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+
+// Feedback shown under select and radio fields whose options are loaded
+// asynchronously.
+export default function OptionsStatus({ field, status, options, retry }) {
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  if (status === "error") {
+    return (
+      <div role="alert" className={cn(theme.error, "flex items-center gap-2")}>
+        {field.loadErrorText || t("options.loadError")}
+        <button
+          type="button"
+          onClick={retry}
+          className={cn(theme.link, "font-semibold")}
+        >
+          {t("options.retry")}
+        </button>
+      </div>
+    );
+  }
+
+  if (status === "ready" && options.length === 0) {
+    return (
+      <div className={theme.hint}>
+        {field.emptyText || t("options.empty")}
+      </div>
+    );
+  }
+
+  return null;
+}
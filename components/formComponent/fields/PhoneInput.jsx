@@ -0,0 +1,130 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useController } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import {
+  formatPhone,
+  getPhoneCountry,
+  parsePhone,
+  resolvePhoneCountries,
+  toE164,
+} from "@/lib/phone";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+
+const flagOf = (code) =>
+  String.fromCodePoint(...[...code].map((letter) => 0x1f1a5 + letter.charCodeAt(0)));
+
+const countryName = (code, locale) => {
+  try {
+    return new Intl.DisplayNames([locale], { type: "region" }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+// The country and national digits shown for a form value. Numbers whose
+// dial code is unknown are shown as typed, in international form.
+const fromValue = (value, defaultCountry) => {
+  if (!value) return { country: defaultCountry, nationalNumber: "", international: false };
+  const parsed = parsePhone(value, defaultCountry.code);
+  return { ...parsed, international: !parsed.country };
+};
+
+// Numbers typed with their "+" keep it, followed by the dial code.
+const displayPhone = ({ country, nationalNumber, international }) => {
+  const formatted = formatPhone(nationalNumber, country);
+  if (!international) return formatted;
+  return `+${[country?.dialCode, formatted].filter(Boolean).join(" ")}`;
+};
+
+// A country code select next to a tel input. The number is formatted as it
+// is typed and stored in E.164 ("+393471234567"), or "" while empty.
+export default function PhoneInput({ field, name, control, disabled, required, aria }) {
+  const {
+    field: { value, onChange, onBlur, ref },
+  } = useController({ name, control });
+  const { locale, t } = useTranslation();
+  const theme = useFormTheme();
+
+  const { countries, defaultCountry } = resolvePhoneCountries(field);
+  const [phone, setPhone] = useState(() => fromValue(value, defaultCountry));
+
+  // A value set from outside (a reset, a restored draft) replaces what was
+  // typed. Only value changes count, so the rest is read through a ref.
+  const latest = useRef();
+  latest.current = { phone, defaultCountry };
+  useEffect(() => {
+    const { phone: current, defaultCountry: fallback } = latest.current;
+    if ((value || "") !== toE164(current.nationalNumber, current.country)) {
+      setPhone(fromValue(value, fallback));
+    }
+  }, [value]);
+
+  const update = (next) => {
+    setPhone(next);
+    onChange(toE164(next.nationalNumber, next.country));
+  };
+
+  // A typed or pasted "+44 20…" switches to its country. Countries the field
+  // doesn't offer are kept too, so that validation rejects the number, but
+  // national digits go back to an offered one.
+  const handleInput = (event) => {
+    const text = event.target.value;
+    const national = countries.includes(phone.country) ? phone.country : defaultCountry;
+    const parsed = parsePhone(text, national.code);
+    update({ ...parsed, international: /^\s*(\+|00)/.test(text) });
+  };
+
+  // The select lists a country that isn't offered while a number of it is
+  // shown, and a placeholder while a dial code is being typed.
+  const shownCountries =
+    phone.country && !countries.includes(phone.country) ? [phone.country, ...countries] : countries;
+
+  return (
+    <div className="flex gap-2">
+      <select
+        id={`${name}-country`}
+        value={phone.country?.code ?? ""}
+        onChange={(event) =>
+          update({
+            country: getPhoneCountry(event.target.value),
+            nationalNumber: phone.nationalNumber,
+            international: false,
+          })
+        }
+        onBlur={onBlur}
+        disabled={disabled}
+        aria-label={t("phone.country")}
+        className={cn(theme.input, "w-auto shrink-0 pr-8")}
+      >
+        {!phone.country && (
+          <option value="" disabled>
+            +
+          </option>
+        )}
+        {shownCountries.map((country) => (
+          <option key={country.code} value={country.code}>
+            {`${flagOf(country.code)} ${countryName(country.code, locale)} +${country.dialCode}`}
+          </option>
+        ))}
+      </select>
+      <input
+        id={name}
+        ref={ref}
+        type="tel"
+        inputMode="tel"
+        autoComplete="tel-national"
+        value={displayPhone(phone)}
+        onChange={handleInput}
+        onBlur={onBlur}
+        disabled={disabled}
+        aria-required={required || undefined}
+        {...aria}
+        className={cn(theme.input, "min-w-0 flex-1")}
+        placeholder={field.placeholder}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+"use client";
+
+import { cn } from "@/lib/utils";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+import useFieldOptions from "../useFieldOptions";
+import OptionsStatus from "./OptionsStatus";
+
+export default function RadioGroup({
+  field,
+  name,
+  register,
+  control,
+  setValue,
+  disabled,
+  aria,
+}) {
+  const { options, status, retry } = useFieldOptions(field, {
+    name,
+    control,
+    setValue,
+  });
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  return (
+    <>
+      <div className="flex flex-col gap-1 mt-1" aria-busy={status === "loading"}>
+        {status === "loading" && (
+          <span className={cn(theme.hint, "mt-0")}>{t("options.loading")}</span>
+        )}
+        {options.map((option) => (
+          <label
+            key={option.value}
+            className={cn(theme.label, "mb-0")}
+          >
+            <input
+              type="radio"
+              value={option.value}
+              {...register(name)}
+              disabled={disabled}
+              {...aria}
+              className="mr-2"
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+      <OptionsStatus field={field} status={status} options={options} retry={retry} />
+    </>
+  );
+}
@@ -0,0 +1,45 @@
+"use client";
+
+import { useWatch } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+
+// One visually hidden radio per star: arrow keys move between stars like in
+// any radio group, and the focused star gets a visible ring.
+export default function RatingInput({ field, name, register, control, disabled, aria }) {
+  const rating = Number(useWatch({ control, name }) || 0);
+  const max = field.max || 5;
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  return (
+    <div className="flex gap-1">
+      {[...Array(max)].map((_, i) => {
+        const value = i + 1;
+        return (
+          <label key={value} className="cursor-pointer">
+            <input
+              type="radio"
+              value={value}
+              {...register(name)}
+              disabled={disabled}
+              aria-label={t("rating.star", { value, max })}
+              {...aria}
+              className="peer sr-only"
+            />
+            <span
+              aria-hidden="true"
+              className={cn(
+                "block rounded px-0.5 text-2xl leading-none peer-disabled:opacity-50",
+                theme.ratingStar
+              )}
+            >
+              {value <= rating ? "★" : "☆"}
+            </span>
+          </label>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+"use client";
+
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+
+// Inputs announce themselves as required through aria-required, so the mark
+// is hidden from screen readers; group legends, which have no such
+// attribute, pass `announce` to spell it out instead.
+export default function RequiredMark({ announce = false }) {
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  return (
+    <>
+      <span aria-hidden="true" className={theme.requiredMark}>
+        *
+      </span>
+      {announce && <span className="sr-only"> {t("form.required")}</span>}
+    </>
+  );
+}
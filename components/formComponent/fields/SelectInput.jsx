@@ -0,0 +1,84 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import { useWatch } from "react-hook-form";
+import { cn } from "@/lib/utils";
+import { useTranslation } from "../i18n";
+import { useFormTheme } from "../theme";
+import useFieldOptions from "../useFieldOptions";
+import Combobox from "./Combobox";
+import OptionsStatus from "./OptionsStatus";
+
+export default function SelectInput({
+  field,
+  name,
+  register,
+  control,
+  setValue,
+  disabled,
+  required,
+  aria,
+}) {
+  const { options, status, retry } = useFieldOptions(field, {
+    name,
+    control,
+    setValue,
+  });
+  const value = useWatch({ control, name });
+  const { t } = useTranslation();
+  const theme = useFormTheme();
+
+  // Options that arrive after the value was set (restored or default values)
+  // need the value written again for the native select to show it. Only the
+  // arrival counts, so the value is read through a ref.
+  const latest = useRef();
+  latest.current = { value, searchable: field.searchable };
+  useEffect(() => {
+    const { value: current, searchable } = latest.current;
+    if (status === "ready" && current && !searchable) {
+      setValue(name, current);
+    }
+  }, [status, name, setValue]);
+
+  const isUnavailable = status !== "ready" || options.length === 0;
+
+  if (field.searchable) {
+    return (
+      <>
+        <Combobox
+          id={name}
+          name={name}
+          control={control}
+          options={options}
+          disabled={disabled || isUnavailable}
+          placeholder={status === "loading" ? t("options.loading") : field.placeholder}
+          required={required}
+          aria={aria}
+        />
+        <OptionsStatus field={field} status={status} options={options} retry={retry} />
+      </>
+    );
+  }
+
+  return (
+    <>
+      <select
+        id={name}
+        {...register(name)}
+        disabled={disabled || isUnavailable}
+        aria-busy={status === "loading"}
+        aria-required={required || undefined}
+        {...aria}
+        className={cn(theme.input, "pr-8")}
+      >
+        {status === "loading" && <option value="">{t("options.loading")}</option>}
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <OptionsStatus field={field} status={status} options={options} retry={retry} />
+    </>
+  );
+}
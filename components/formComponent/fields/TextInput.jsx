@@ -0,0 +1,20 @@
+"use client";
+
+import { useFormTheme } from "../theme";
+
+export default function TextInput({ field, name, register, disabled, required, aria }) {
+  const theme = useFormTheme();
+
+  return (
+    <input
+      id={name}
+      type={field.type}
+      {...register(name)}
+      disabled={disabled}
+      aria-required={required || undefined}
+      {...aria}
+      className={theme.input}
+      placeholder={field.placeholder}
+    />
+  );
+}
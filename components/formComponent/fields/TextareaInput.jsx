@@ -0,0 +1,19 @@
+"use client";
+
+import { useFormTheme } from "../theme";
+
+export default function TextareaInput({ field, name, register, disabled, required, aria }) {
+  const theme = useFormTheme();
+
+  return (
+    <textarea
+      id={name}
+      {...register(name)}
+      disabled={disabled}
+      aria-required={required || undefined}
+      {...aria}
+      className={theme.input}
+      placeholder={field.placeholder}
+    />
+  );
+}
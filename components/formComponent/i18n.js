@@ -0,0 +1,54 @@
+import { createContext, useContext } from "react";
+import en from "./locales/en";
+import it from "./locales/it";
+
+export const DEFAULT_LOCALE = "en";
+
+const bundles = { en, it };
+
+// Adds or overrides messages of a locale for every form, e.g. the
+// translations of an app's own field labels.
+export const registerMessages = (locale, messages) => {
+  bundles[locale] = { ...bundles[locale], ...messages };
+};
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, key) =>
+    params[key] !== undefined ? String(params[key]) : match
+  );
+
+// Messages are looked up in `overrides`, then the locale ("it-CH"), its
+// language ("it") and finally English. Anything that isn't a known key is
+// returned as it is, so plain text keeps working wherever a key is accepted.
+export const createTranslator = (locale = DEFAULT_LOCALE, overrides = {}) => {
+  const messages = {
+    ...bundles[DEFAULT_LOCALE],
+    ...bundles[locale.split("-")[0]],
+    ...bundles[locale],
+    ...overrides,
+  };
+
+  return (key, params = {}) => {
+    if (typeof key !== "string" || messages[key] === undefined) return key;
+    const message = messages[key];
+    return typeof message === "function" ? message(params) : interpolate(message, params);
+  };
+};
+
+// The config strings a field renders, translated.
+export const localizeField = (field, t) => ({
+  ...field,
+  label: t(field.label),
+  placeholder: t(field.placeholder),
+  itemLabel: t(field.itemLabel),
+  addLabel: t(field.addLabel),
+  emptyText: t(field.emptyText),
+  loadErrorText: t(field.loadErrorText),
+  options: field.options?.map((option) => ({ ...option, label: t(option.label) })),
+});
+
+export const I18nContext = createContext(null);
+
+// Components rendered outside a ReusableForm get the English messages.
+export const useTranslation = () =>
+  useContext(I18nContext) || { locale: DEFAULT_LOCALE, t: createTranslator() };
@@ -0,0 +1,54 @@
+// Full class names, so Tailwind finds every one of them in the source.
+const colSpans = {
+  base: [
+    "col-span-1", "col-span-2", "col-span-3", "col-span-4", "col-span-5", "col-span-6",
+    "col-span-7", "col-span-8", "col-span-9", "col-span-10", "col-span-11", "col-span-12",
+  ],
+  sm: [
+    "sm:col-span-1", "sm:col-span-2", "sm:col-span-3", "sm:col-span-4", "sm:col-span-5", "sm:col-span-6",
+    "sm:col-span-7", "sm:col-span-8", "sm:col-span-9", "sm:col-span-10", "sm:col-span-11", "sm:col-span-12",
+  ],
+  md: [
+    "md:col-span-1", "md:col-span-2", "md:col-span-3", "md:col-span-4", "md:col-span-5", "md:col-span-6",
+    "md:col-span-7", "md:col-span-8", "md:col-span-9", "md:col-span-10", "md:col-span-11", "md:col-span-12",
+  ],
+  lg: [
+    "lg:col-span-1", "lg:col-span-2", "lg:col-span-3", "lg:col-span-4", "lg:col-span-5", "lg:col-span-6",
+    "lg:col-span-7", "lg:col-span-8", "lg:col-span-9", "lg:col-span-10", "lg:col-span-11", "lg:col-span-12",
+  ],
+  xl: [
+    "xl:col-span-1", "xl:col-span-2", "xl:col-span-3", "xl:col-span-4", "xl:col-span-5", "xl:col-span-6",
+    "xl:col-span-7", "xl:col-span-8", "xl:col-span-9", "xl:col-span-10", "xl:col-span-11", "xl:col-span-12",
+  ],
+};
+
+export const GRID_CLASS_NAME = "grid grid-cols-12 gap-x-4";
+
+// `colSpan` is a number of the 12 grid columns, or an object of them per
+// breakpoint, like { base: 12, md: 6 }. Fields span the full width by default,
+// also when colSpan or its `base` is left undefined.
+export const colSpanClassName = (colSpan) => {
+  const { base, ...breakpoints } =
+    typeof colSpan === "object" && colSpan !== null ? colSpan : { base: colSpan };
+  return Object.entries({ base: base ?? 12, ...breakpoints })
+    .map(([breakpoint, span]) => colSpans[breakpoint]?.[span - 1])
+    .filter(Boolean)
+    .join(" ");
+};
+
+export const isSection = (field) => field.type === "section";
+
+// The fields array is flat: a section item heads every item after it, up to
+// the next section. Items before the first section come back in a group
+// whose `section` is null. Keys identify items that have no name.
+export const groupSections = (fields, keyPrefix = "") =>
+  fields.reduce((groups, field, index) => {
+    const key = field.name || `${keyPrefix}${field.type}-${index}`;
+    if (isSection(field)) {
+      groups.push({ section: field, key, items: [] });
+    } else {
+      if (groups.length === 0) groups.push({ section: null, key: `${keyPrefix}top`, items: [] });
+      groups[groups.length - 1].items.push({ field, key });
+    }
+    return groups;
+  }, []);
@@ -0,0 +1,78 @@
+// Built-in English messages. A message is a string with {placeholders}, or
+// a function of the params when it needs plurals or formatting.
+const en = {
+  "form.submit": "Submit",
+  "form.submitting": "Submitting…",
+  "form.next": "Next",
+  "form.back": "Back",
+  "form.checking": "Checking…",
+  "form.required": "(required)",
+  "form.success": "Thank you! Your submission has been received.",
+  "form.error": "Something went wrong. Please try again.",
+  "form.errorSummary": ({ count }) =>
+    count === 1 ? "There is a problem with 1 field:" : `There are problems with ${count} fields:`,
+  "form.step": "Step {current} of {total}: {title}",
+
+  "draft.prompt": "You have an unfinished draft saved on {savedAt}. Do you want to resume it?",
+  "draft.resume": "Resume draft",
+  "draft.discard": "Start over",
+
+  "options.loading": "Loading…",
+  "options.loadError": "Couldn't load the options.",
+  "options.retry": "Retry",
+  "options.empty": "No options available.",
+  "options.noMatches": "No matches",
+  "options.keepTyping": "Keep typing to narrow the list…",
+
+  "array.add": "Add {item}",
+  "array.remove": "Remove",
+  "array.moveUp": "Move {item} {index} up",
+  "array.moveDown": "Move {item} {index} down",
+
+  "rating.star": ({ value, max }) => `${value} of ${max} ${max === 1 ? "star" : "stars"}`,
+
+  "consent.read": "Read",
+  "consent.readLabel": "Read {title}",
+  "consent.version": "Version {version} of {date}",
+  "consent.accept": "I accept",
+  "consent.close": "Close",
+
+  "phone.country": "Country code",
+
+  "address.street": "Street and number",
+  "address.postalCode": "Postal code",
+  "address.city": "City",
+  "address.province": "Province",
+  "address.country": "Country",
+  "address.manual": "Enter the address manually",
+  "address.search": "Search for the address",
+  "address.searchError": "Couldn't search addresses.",
+
+  "file.drop": ({ multiple }) => `Drag and drop ${multiple ? "files" : "a file"} here, or`,
+  "file.browse": "browse",
+  "file.accepted": "Accepted: {types}",
+  "file.maxSize": "up to {size} each",
+  "file.maxFiles": ({ count }) => `max ${count} ${count === 1 ? "file" : "files"}`,
+  "file.remove": "Remove",
+  "file.removeLabel": "Remove {name}",
+  "file.uploading": "Uploading {name}",
+
+  "validation.required": "{label} is required",
+  "validation.email": "Invalid email",
+  "validation.date": "Invalid date",
+  "validation.phone": "Invalid phone number",
+  "validation.address": "Enter at least the city",
+  "validation.invalid": "{label} is not valid",
+  "validation.minLength": "At least {limit} characters",
+  "validation.maxLength": "Max {limit} characters",
+  "validation.minValue": "{label} must be at least {limit}",
+  "validation.maxValue": "{label} must be at most {limit}",
+  "validation.minEntries": "{label} needs at least {limit} entries",
+  "validation.maxEntries": "{label} allows at most {limit} entries",
+  "validation.maxFiles": ({ label, limit }) =>
+    `${label} allows at most ${limit} ${limit === 1 ? "file" : "files"}`,
+  "validation.maxSize": "Each file in {label} must be at most {size}",
+  "validation.accept": "{label} has an unsupported file type",
+};
+
+export default en;
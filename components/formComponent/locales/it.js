@@ -0,0 +1,78 @@
+// Messaggi italiani predefiniti, con le stesse chiavi di en.js.
+const it = {
+  "form.submit": "Invia",
+  "form.submitting": "Invio in corso…",
+  "form.next": "Avanti",
+  "form.back": "Indietro",
+  "form.checking": "Verifica in corso…",
+  "form.required": "(obbligatorio)",
+  "form.success": "Grazie! Abbiamo ricevuto la tua richiesta.",
+  "form.error": "Si è verificato un errore. Riprova.",
+  "form.errorSummary": ({ count }) =>
+    count === 1 ? "C'è un problema in 1 campo:" : `Ci sono problemi in ${count} campi:`,
+  "form.step": "Passo {current} di {total}: {title}",
+
+  "draft.prompt": "Hai una bozza non completata salvata il {savedAt}. Vuoi riprenderla?",
+  "draft.resume": "Riprendi la bozza",
+  "draft.discard": "Ricomincia",
+
+  "options.loading": "Caricamento...",
+  "options.loadError": "Impossibile caricare le opzioni.",
+  "options.retry": "Riprova",
+  "options.empty": "Nessuna opzione disponibile.",
+  "options.noMatches": "Nessun risultato",
+  "options.keepTyping": "Continua a scrivere per restringere l'elenco…",
+
+  "array.add": "Aggiungi {item}",
+  "array.remove": "Rimuovi",
+  "array.moveUp": "Sposta su {item} {index}",
+  "array.moveDown": "Sposta giù {item} {index}",
+
+  "rating.star": ({ value, max }) => `${value} ${value === 1 ? "stella" : "stelle"} su ${max}`,
+
+  "consent.read": "Leggi",
+  "consent.readLabel": "Leggi {title}",
+  "consent.version": "Versione {version} del {date}",
+  "consent.accept": "Accetto",
+  "consent.close": "Chiudi",
+
+  "phone.country": "Prefisso internazionale",
+
+  "address.street": "Via e numero civico",
+  "address.postalCode": "CAP",
+  "address.city": "Comune",
+  "address.province": "Provincia",
+  "address.country": "Paese",
+  "address.manual": "Inserisci l'indirizzo a mano",
+  "address.search": "Cerca l'indirizzo",
+  "address.searchError": "Ricerca degli indirizzi non riuscita.",
+
+  "file.drop": ({ multiple }) => `Trascina qui ${multiple ? "i file" : "un file"}, oppure`,
+  "file.browse": "sfoglia",
+  "file.accepted": "Formati accettati: {types}",
+  "file.maxSize": "massimo {size} per file",
+  "file.maxFiles": ({ count }) => `massimo ${count} file`,
+  "file.remove": "Rimuovi",
+  "file.removeLabel": "Rimuovi {name}",
+  "file.uploading": "Caricamento di {name}",
+
+  "validation.required": "{label} è obbligatorio",
+  "validation.email": "Email non valida",
+  "validation.date": "Data non valida",
+  "validation.phone": "Numero di telefono non valido",
+  "validation.address": "Indica almeno il comune",
+  "validation.invalid": "{label} non è valido",
+  "validation.minLength": "Almeno {limit} caratteri",
+  "validation.maxLength": "Massimo {limit} caratteri",
+  "validation.minValue": "{label} deve essere almeno {limit}",
+  "validation.maxValue": "{label} deve essere al massimo {limit}",
+  "validation.minEntries": ({ label, limit }) =>
+    `${label} richiede almeno ${limit} ${limit === 1 ? "elemento" : "elementi"}`,
+  "validation.maxEntries": ({ label, limit }) =>
+    `${label} consente al massimo ${limit} ${limit === 1 ? "elemento" : "elementi"}`,
+  "validation.maxFiles": ({ label, limit }) => `${label} consente al massimo ${limit} file`,
+  "validation.maxSize": "Ogni file in {label} deve essere al massimo di {size}",
+  "validation.accept": "{label} contiene un tipo di file non supportato",
+};
+
+export default it;
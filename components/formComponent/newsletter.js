@@ -0,0 +1,22 @@
+import { mapValues } from "@/lib/valueMapping";
+
+// A checkbox or consent field with a `newsletter` config subscribes the
+// submitted email when it is ticked (accepted, for consents):
+// { listIds, emailField = "email", attributes: { FIRSTNAME: "name" } }
+// `attributes` maps provider attributes to form values (see valueMapping.js);
+// blank ones are left out so they don't overwrite what the contact has.
+const isTicked = (field, value) =>
+  field.type === "consent" ? Boolean(value?.accepted) : field.type === "checkbox" && value === true;
+
+export const collectSubscriptions = (fields, values) =>
+  fields
+    .filter((field) => field.newsletter && isTicked(field, values[field.name]))
+    .map(({ newsletter }) => {
+      const { listIds, emailField = "email", attributes } = newsletter;
+      return {
+        email: values[emailField],
+        listIds,
+        attributes: mapValues(values, attributes, { omitBlank: true }),
+      };
+    })
+    .filter((subscription) => subscription.email);
@@ -0,0 +1,59 @@
+import { createCrmLeadAdapter } from "@/lib/crm/leadAdapter";
+
+// A submit adapter is `(data, { fields }) => Promise<result>`: it sends the
+// values somewhere and, exactly like onSubmit, resolves to the result, to
+// { errors } for field errors, or rejects when the submission failed.
+
+// Sends the values as JSON. A 422 answer carrying { errors } is shown on
+// the fields, see "Server-side Errors" in the README.
+export const createHttpSubmitAdapter =
+  ({ url, method = "POST", headers = {} }) =>
+  async (data) => {
+    const response = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(data),
+    });
+    const body = await response.json().catch(() => null);
+    if (response.status === 422 && body?.errors) return { errors: body.errors };
+    if (!response.ok) throw new Error(`Submission failed with status ${response.status}`);
+    return body;
+  };
+
+// Stands in for a real backend in development and tests: resolves to
+// `result` (or `{ errors }`, or rejects when `fail` is set) after `delay`
+// milliseconds, and keeps every submission in `adapter.submissions`.
+export const createMockSubmitAdapter = ({
+  delay = 300,
+  result = { ok: true },
+  errors,
+  fail = false,
+} = {}) => {
+  const adapter = async (data) => {
+    adapter.submissions.push(data);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    if (fail) throw new Error(typeof fail === "string" ? fail : "Mock submission failed");
+    return errors ? { errors } : result;
+  };
+  adapter.submissions = [];
+  return adapter;
+};
+
+// Factories of the adapters JSON definitions can name in `submit.adapter`.
+const adapterFactories = {
+  http: createHttpSubmitAdapter,
+  mock: createMockSubmitAdapter,
+  crmLead: createCrmLeadAdapter,
+};
+
+export const registerSubmitAdapter = (name, factory) => {
+  adapterFactories[name] = factory;
+};
+
+export const hasSubmitAdapter = (name) => name in adapterFactories;
+
+export const createSubmitAdapter = (name, options) => {
+  const factory = adapterFactories[name];
+  if (!factory) throw new Error(`Unknown submit adapter "${name}"`);
+  return factory(options);
+};
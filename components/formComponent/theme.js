@@ -0,0 +1,139 @@
+import { createContext, useContext } from "react";
+import { cn } from "@/lib/utils";
+
+// The look ReusableForm always had: indigo accents on a light background.
+export const classicTheme = {
+  form: "w-full p-5 md:p-10 text-start",
+  fieldWrapper: "mb-4 text-start",
+  label: "mb-1 block text-sm font-medium text-gray-900",
+  input:
+    "block w-full rounded-md bg-white px-3 py-1.5 text-base text-gray-900 outline outline-1 -outline-offset-1 outline-gray-300 placeholder:text-gray-400 focus:outline focus:outline-2 focus:-outline-offset-2 focus:outline-indigo-600 aria-[invalid=true]:outline-red-500 sm:text-sm/6",
+  heading: "mb-4 text-lg font-semibold text-gray-900",
+  section: "mb-4 border-b border-gray-200 pb-2",
+  content: "mb-4 text-sm text-gray-700",
+  divider: "mb-4 border-gray-200",
+  error: "mt-1 text-sm text-red-500",
+  hint: "mt-1 text-sm text-gray-500",
+  button:
+    "rounded-lg bg-indigo-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-600 disabled:cursor-not-allowed disabled:opacity-75",
+  secondaryButton:
+    "rounded-lg bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm outline outline-1 -outline-offset-1 outline-gray-300 hover:bg-gray-50",
+  link: "font-medium text-indigo-600 underline hover:text-indigo-500",
+  requiredMark: "ml-0.5 text-red-500",
+  checkbox:
+    "rounded border border-gray-300 bg-white checked:border-indigo-600 checked:bg-indigo-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-600",
+  ratingStar:
+    "text-yellow-400 peer-focus-visible:outline peer-focus-visible:outline-2 peer-focus-visible:outline-offset-2 peer-focus-visible:outline-indigo-600",
+  listbox:
+    "absolute z-10 mt-1 max-h-60 w-full overflow-auto rounded-md bg-white py-1 text-sm shadow-lg outline outline-1 outline-gray-300",
+  option: "text-gray-900",
+  activeOption: "bg-indigo-600 text-white",
+  listMessage: "px-3 py-1.5 text-gray-500",
+  notice:
+    "mb-4 rounded-md bg-indigo-50 p-3 text-sm text-indigo-900 outline outline-1 -outline-offset-1 outline-indigo-200",
+  success:
+    "mb-4 rounded-md bg-green-50 p-3 text-sm text-green-700 outline outline-1 -outline-offset-1 outline-green-200",
+  alert:
+    "mb-4 rounded-md bg-red-50 p-3 text-sm text-red-700 outline outline-1 -outline-offset-1 outline-red-200",
+  panel: "rounded-md border border-gray-300",
+  text: "text-gray-900",
+  mutedText: "text-gray-500",
+  dropzone:
+    "border-gray-300 text-gray-600 focus-within:outline focus-within:outline-2 focus-within:outline-offset-2 focus-within:outline-indigo-600",
+  activeDropzone:
+    "border-indigo-500 bg-indigo-50 text-gray-600 focus-within:outline focus-within:outline-2 focus-within:outline-offset-2 focus-within:outline-indigo-600",
+  thumbnail: "bg-gray-100 text-gray-500",
+  removeButton: "text-gray-500 hover:text-red-600",
+  progressTrack: "bg-gray-200",
+  progressBar: "bg-indigo-600",
+  step: "text-gray-400",
+  reachedStep: "text-indigo-600",
+  stepMarker: "bg-white text-gray-500 outline outline-1 outline-gray-300",
+  reachedStepMarker: "bg-indigo-600 text-white",
+  dialog: "bg-white text-gray-900",
+};
+
+// Built on the CSS variables of app/globals.css (the ones tailwind.config.ts
+// maps to `background`, `primary`, `input`...), so it switches between light
+// and dark with them.
+export const tokenTheme = {
+  form: "w-full bg-background p-5 text-start text-foreground md:p-10",
+  fieldWrapper: "mb-4 text-start",
+  label: "mb-1 block text-sm font-medium text-foreground",
+  input:
+    "block w-full rounded-md border border-input bg-background px-3 py-1.5 text-base text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring aria-[invalid=true]:border-destructive sm:text-sm/6",
+  heading: "mb-4 text-lg font-semibold text-foreground",
+  section: "mb-4 border-b border-border pb-2",
+  content: "mb-4 text-sm text-foreground",
+  divider: "mb-4 border-border",
+  error: "mt-1 text-sm text-destructive",
+  hint: "mt-1 text-sm text-muted-foreground",
+  button:
+    "rounded-lg bg-primary px-3 py-2 text-sm font-semibold text-primary-foreground shadow-sm hover:bg-primary/90 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-75",
+  secondaryButton:
+    "rounded-lg border border-input bg-background px-3 py-2 text-sm font-semibold text-foreground shadow-sm hover:bg-accent hover:text-accent-foreground",
+  link: "font-medium text-primary underline hover:text-primary/80",
+  requiredMark: "ml-0.5 text-destructive",
+  checkbox:
+    "rounded border border-input bg-background checked:border-primary checked:bg-primary focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2",
+  ratingStar:
+    "text-yellow-400 peer-focus-visible:ring-2 peer-focus-visible:ring-ring peer-focus-visible:ring-offset-2",
+  listbox:
+    "absolute z-10 mt-1 max-h-60 w-full overflow-auto rounded-md border border-border bg-popover py-1 text-sm text-popover-foreground shadow-lg",
+  option: "text-popover-foreground",
+  activeOption: "bg-accent text-accent-foreground",
+  listMessage: "px-3 py-1.5 text-muted-foreground",
+  notice: "mb-4 rounded-md border border-border bg-muted p-3 text-sm text-foreground",
+  success: "mb-4 rounded-md border border-border bg-muted p-3 text-sm text-foreground",
+  alert: "mb-4 rounded-md border border-destructive p-3 text-sm text-destructive",
+  panel: "rounded-md border border-border",
+  text: "text-foreground",
+  mutedText: "text-muted-foreground",
+  dropzone: "border-input text-muted-foreground focus-within:ring-2 focus-within:ring-ring",
+  activeDropzone:
+    "border-primary bg-accent text-accent-foreground focus-within:ring-2 focus-within:ring-ring",
+  thumbnail: "bg-muted text-muted-foreground",
+  removeButton: "text-muted-foreground hover:text-destructive",
+  progressTrack: "bg-muted",
+  progressBar: "bg-primary",
+  step: "text-muted-foreground",
+  reachedStep: "text-primary",
+  stepMarker: "border border-input bg-background text-muted-foreground",
+  reachedStepMarker: "bg-primary text-primary-foreground",
+  dialog: "bg-background text-foreground",
+};
+
+// "light" and "dark" pin the variables on the form itself, and on dialogs,
+// which render outside it; "system" leaves them to the page, i.e. to the
+// class next-themes sets on <html>.
+const colorSchemes = { light: "light", dark: "dark", system: "" };
+
+export const resolveTheme = (theme = "classic", classNames = {}) => {
+  let slots;
+  let scheme = "";
+  if (typeof theme === "object") {
+    slots = { ...classicTheme, ...theme };
+  } else if (theme === "classic") {
+    slots = classicTheme;
+  } else if (theme in colorSchemes) {
+    slots = tokenTheme;
+    scheme = colorSchemes[theme];
+  } else {
+    throw new Error(`Unknown theme "${theme}"`);
+  }
+
+  const resolved = Object.keys(slots).reduce((result, slot) => {
+    // tailwind-merge lets an override like "bg-neutral-800" replace the
+    // theme's background instead of fighting it.
+    result[slot] = cn(slots[slot], classNames[slot]);
+    return result;
+  }, {});
+  resolved.form = cn(resolved.form, scheme);
+  resolved.dialog = cn(resolved.dialog, scheme);
+  return resolved;
+};
+
+export const ThemeContext = createContext(null);
+
+// Components rendered outside a ReusableForm get the classic look.
+export const useFormTheme = () => useContext(ThemeContext) || classicTheme;
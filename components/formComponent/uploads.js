@@ -0,0 +1,115 @@
+import { createContext } from "react";
+
+// Upload progress of the current submission, keyed by field name and file
+// index, as fractions between 0 and 1.
+export const UploadProgressContext = createContext({});
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, "")} MB`;
+};
+
+// `accept` may be written like the HTML attribute ("image/*,.pdf") or as
+// an array of the same entries.
+export const toAcceptList = (accept) =>
+  Array.isArray(accept)
+    ? accept
+    : String(accept)
+        .split(",")
+        .map((type) => type.trim())
+        .filter(Boolean);
+
+export const matchesAccept = (file, acceptList) =>
+  acceptList.some((type) => {
+    if (type.endsWith("/*")) return file.type.startsWith(type.slice(0, -1));
+    if (type.startsWith(".")) return file.name.toLowerCase().endsWith(type.toLowerCase());
+    return file.type === type;
+  });
+
+const isFile = (value) => typeof Blob !== "undefined" && value instanceof Blob;
+
+// Replaces every File in the submitted values with what the upload adapter
+// returned for it (a URL, an id...). Files already uploaded by an earlier,
+// failed submission are taken from `cache` instead of being sent again.
+export const uploadFiles = async (fields, values, options, prefix = "") => {
+  const result = { ...values };
+
+  await Promise.all(
+    fields.map(async (field) => {
+      const value = values?.[field.name];
+      const name = `${prefix}${field.name}`;
+
+      if (field.type === "array" && Array.isArray(value)) {
+        result[field.name] = await Promise.all(
+          value.map((item, index) =>
+            uploadFiles(field.fields, item, options, `${name}.${index}.`)
+          )
+        );
+        return;
+      }
+
+      const upload = field.upload || options.adapter;
+      if (field.type !== "file" || !upload || !value) return;
+
+      result[field.name] = await Promise.all(
+        Array.from(value).map(async (file, index) => {
+          if (!isFile(file)) return file;
+          if (!options.cache.has(file)) {
+            options.cache.set(
+              file,
+              await upload(file, {
+                field,
+                onProgress: (fraction) => options.onProgress(name, index, fraction),
+              })
+            );
+          }
+          options.onProgress(name, index, 1);
+          return options.cache.get(file);
+        })
+      );
+    })
+  );
+
+  return result;
+};
+
+// Adapter posting each file as multipart/form-data to `url`. XMLHttpRequest
+// is used because fetch can't report upload progress.
+export const createXhrUploadAdapter =
+  ({
+    url,
+    fieldName = "file",
+    headers = {},
+    parseResponse = (xhr) => JSON.parse(xhr.responseText),
+  }) =>
+  (file, { onProgress }) =>
+    new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const body = new FormData();
+      body.append(fieldName, file);
+
+      xhr.open("POST", url);
+      Object.entries(headers).forEach(([header, value]) =>
+        xhr.setRequestHeader(header, value)
+      );
+      xhr.upload.addEventListener("progress", (event) => {
+        if (event.lengthComputable) onProgress(event.loaded / event.total);
+      });
+      xhr.addEventListener("load", () => {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          // Errors thrown in a listener would leave the upload pending.
+          try {
+            resolve(parseResponse(xhr));
+          } catch (error) {
+            reject(error);
+          }
+        } else {
+          reject(new Error(`Upload of "${file.name}" failed with status ${xhr.status}`));
+        }
+      });
+      xhr.addEventListener("error", () =>
+        reject(new Error(`Upload of "${file.name}" failed`))
+      );
+      xhr.send(body);
+    });
@@ -0,0 +1,156 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { get } from "react-hook-form";
+import { createValueGetter, resolveFieldState } from "./conditions";
+
+const DEFAULT_DEBOUNCE = 400;
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const toMessage = (field, outcome, t) => {
+  const label = t(field.label || field.name);
+  if (typeof outcome === "string") return t(outcome, { label });
+  if (outcome === false) return t("validation.invalid", { label });
+  return null;
+};
+
+const isVisible = (field, values) =>
+  resolveFieldState(field, createValueGetter(values)).visible;
+
+// Wraps a resolver so the last settled async result of each field is merged
+// into every validation run. Without this the sync resolver would wipe the
+// async errors on submit, and a known-bad value could be submitted.
+export const withAsyncErrors = (resolver, fields, results) => async (values, context, options) => {
+  const result = await resolver(values, context, options);
+  const errors = { ...result.errors };
+
+  fields.forEach((field) => {
+    const settled = results.current[field.name];
+    if (
+      settled?.message &&
+      settled.value === get(values, field.name) &&
+      !errors[field.name] &&
+      isVisible(field, values)
+    ) {
+      errors[field.name] = { type: "async", message: settled.message };
+    }
+  });
+
+  return Object.keys(errors).length > 0 ? { values: {}, errors } : result;
+};
+
+// Runs each field's `asyncValidate(value, { values, signal })` after the user
+// stops typing, aborting the request made for an older value.
+export default function useAsyncValidation(
+  fields,
+  { results, watch, getValues, setError, clearErrors, getFieldState, t }
+) {
+  const [pending, setPending] = useState({});
+  const timers = useRef({});
+  const inFlight = useRef({});
+  const lastValues = useRef({});
+
+  const latest = useRef();
+  latest.current = { fields, setError, clearErrors, getFieldState, t };
+
+  const run = useCallback(
+    (field, value, values) => {
+      const { name } = field;
+      const { setError: set, clearErrors: clear, getFieldState: fieldState } = latest.current;
+
+      clearTimeout(timers.current[name]);
+      lastValues.current[name] = value;
+      inFlight.current[name]?.controller.abort();
+      delete inFlight.current[name];
+
+      const clearAsyncError = () => {
+        if (fieldState(name).error?.type === "async") clear(name);
+      };
+
+      if (isBlank(value)) {
+        delete results.current[name];
+        setPending((current) => ({ ...current, [name]: false }));
+        clearAsyncError();
+        return Promise.resolve();
+      }
+
+      const controller = new AbortController();
+      setPending((current) => ({ ...current, [name]: true }));
+
+      const promise = Promise.resolve()
+        .then(() => field.asyncValidate(value, { values, signal: controller.signal }))
+        .then((outcome) => {
+          if (controller.signal.aborted) return;
+          const message = toMessage(field, outcome, latest.current.t);
+          results.current[name] = { value, message };
+          if (message) set(name, { type: "async", message });
+          else clearAsyncError();
+        })
+        .catch((error) => {
+          if (controller.signal.aborted) return;
+          // An unreachable backend shouldn't lock users out of the form; the
+          // server still gets the final say when the data is submitted.
+          console.error(`Async validation of "${name}" failed:`, error);
+          results.current[name] = { value, message: null };
+        })
+        .finally(() => {
+          if (inFlight.current[name]?.controller !== controller) return;
+          delete inFlight.current[name];
+          setPending((current) => ({ ...current, [name]: false }));
+        });
+
+      inFlight.current[name] = { value, controller, promise };
+      return promise;
+    },
+    [results]
+  );
+
+  useEffect(() => {
+    const subscription = watch((values, { name }) => {
+      const field = latest.current.fields.find(
+        (candidate) => candidate.name === name && candidate.asyncValidate
+      );
+      if (!field) return;
+
+      // The callback also fires on state updates that leave the value alone.
+      const value = get(values, name);
+      if (lastValues.current[name] === value) return;
+      lastValues.current[name] = value;
+
+      clearTimeout(timers.current[name]);
+      timers.current[name] = setTimeout(
+        () => run(field, value, values),
+        field.asyncValidateDebounce ?? DEFAULT_DEBOUNCE
+      );
+    });
+
+    const pendingTimers = timers.current;
+    return () => {
+      subscription.unsubscribe();
+      Object.values(pendingTimers).forEach(clearTimeout);
+    };
+  }, [watch, run]);
+
+  // Settles every async check (optionally only for `names`) for the current
+  // values, skipping the debounce; used before submitting or changing step.
+  const flush = useCallback(
+    (names) => {
+      const values = getValues();
+      const checks = latest.current.fields
+        .filter((field) => field.asyncValidate)
+        .filter((field) => !names || names.includes(field.name))
+        .filter((field) => isVisible(field, values))
+        .map((field) => {
+          const value = get(values, field.name);
+          const running = inFlight.current[field.name];
+          if (running && running.value === value) return running.promise;
+          if (results.current[field.name]?.value === value) return null;
+          return run(field, value, values);
+        });
+
+      return Promise.all(checks);
+    },
+    [getValues, results, run]
+  );
+
+  return { pending, flush };
+}
@@ -0,0 +1,175 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { localStorageAdapter } from "./draftStorage";
+
+const DEFAULT_DEBOUNCE = 1000;
+
+// Never written to storage: secrets, and files that can't be serialized.
+const isPersistable = (field) =>
+  field.persist !== false && field.type !== "password" && field.type !== "file";
+
+const pickPersistable = (fields, values = {}) =>
+  fields.filter(isPersistable).reduce((result, field) => {
+    const value = values[field.name];
+    if (value === undefined) return result;
+    result[field.name] =
+      field.type === "array" && Array.isArray(value)
+        ? value.map((item) => pickPersistable(field.fields, item || {}))
+        : value;
+    return result;
+  }, {});
+
+const isBlankDraft = (values) =>
+  Object.values(values).every((value) =>
+    Array.isArray(value)
+      ? value.every((item) => isBlankDraft(item))
+      : value === undefined || value === null || value === "" || value === false
+  );
+
+const describeFields = (fields) =>
+  fields
+    .map((field) =>
+      field.type === "array"
+        ? `${field.name}:array[${describeFields(field.fields)}]`
+        : `${field.name}:${field.type}`
+    )
+    .join(",");
+
+// Drafts saved for a different field config are discarded on load, so a
+// renamed or retyped field can't be filled with a stale value.
+export const fieldsVersion = (fields) => {
+  const signature = describeFields(fields);
+  let hash = 5381;
+  for (let i = 0; i < signature.length; i++) {
+    hash = ((hash << 5) + hash + signature.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+const normalizeOptions = (persist) => {
+  if (!persist) return null;
+  const options = typeof persist === "string" ? { key: persist } : persist;
+  return {
+    storage: localStorageAdapter,
+    debounce: DEFAULT_DEBOUNCE,
+    prompt: true,
+    ...options,
+    key: `reusable-form:${options.key}`,
+  };
+};
+
+const parseDraft = (raw) => {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+export default function useDraftPersistence(fields, { persist, watch, reset, getValues }) {
+  const options = normalizeOptions(persist);
+  const key = options?.key;
+  const version = options ? String(options.version ?? fieldsVersion(fields)) : null;
+
+  const [pendingDraft, setPendingDraft] = useState(null);
+  // Saving starts only once any stored draft has been dealt with, otherwise
+  // the empty form would overwrite it before the user could resume it.
+  const canSave = useRef(false);
+  const saveTimer = useRef();
+  // The watch callback also fires on state-only updates (like submitting);
+  // comparing against what was last written keeps those from saving again.
+  const lastSaved = useRef();
+
+  const latest = useRef();
+  latest.current = { options, fields, version, reset, getValues };
+
+  const restore = useCallback((draft) => {
+    const { reset: resetForm, getValues: currentValues } = latest.current;
+    resetForm({ ...currentValues(), ...draft.values }, { keepDefaultValues: true });
+  }, []);
+
+  useEffect(() => {
+    if (!key) return;
+    const { options: current, version: currentVersion } = latest.current;
+    let cancelled = false;
+
+    Promise.resolve(current.storage.getItem(key))
+      .then((raw) => {
+        if (cancelled) return;
+        const draft = parseDraft(raw);
+        if (!draft || draft.version !== currentVersion) {
+          if (raw) current.storage.removeItem(key);
+          canSave.current = true;
+        } else if (current.prompt) {
+          setPendingDraft(draft);
+        } else {
+          restore(draft);
+          canSave.current = true;
+        }
+      })
+      .catch((error) => {
+        console.error("Couldn't load the saved draft:", error);
+        canSave.current = true;
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, restore]);
+
+  useEffect(() => {
+    if (!key) return;
+
+    const subscription = watch((values) => {
+      if (!canSave.current) return;
+      const draftValues = pickPersistable(latest.current.fields, values);
+      const serialized = JSON.stringify(draftValues);
+      if (serialized === lastSaved.current) return;
+
+      clearTimeout(saveTimer.current);
+      saveTimer.current = setTimeout(() => {
+        const { options: current, version: currentVersion } = latest.current;
+        lastSaved.current = serialized;
+        const write = isBlankDraft(draftValues)
+          ? current.storage.removeItem(key)
+          : current.storage.setItem(
+              key,
+              JSON.stringify({ version: currentVersion, savedAt: Date.now(), values: draftValues })
+            );
+        Promise.resolve(write).catch((error) =>
+          console.error("Couldn't save the draft:", error)
+        );
+      }, latest.current.options.debounce);
+    });
+
+    return () => {
+      subscription.unsubscribe();
+      clearTimeout(saveTimer.current);
+    };
+  }, [key, watch]);
+
+  const resumeDraft = () => {
+    restore(pendingDraft);
+    setPendingDraft(null);
+    canSave.current = true;
+  };
+
+  const discardDraft = () => {
+    Promise.resolve(options.storage.removeItem(key)).catch(() => {});
+    setPendingDraft(null);
+    canSave.current = true;
+  };
+
+  const clearDraft = useCallback(() => {
+    const { options: current, fields: currentFields, getValues: currentValues } =
+      latest.current;
+    if (!current) return;
+    clearTimeout(saveTimer.current);
+    lastSaved.current = JSON.stringify(pickPersistable(currentFields, currentValues()));
+    Promise.resolve(current.storage.removeItem(current.key)).catch((error) =>
+      console.error("Couldn't clear the draft:", error)
+    );
+  }, []);
+
+  return { pendingDraft, resumeDraft, discardDraft, clearDraft };
+}
@@ -0,0 +1,103 @@
+import { useEffect, useRef, useState } from "react";
+import { useWatch } from "react-hook-form";
+
+// Loaded options are cached per form (its `control`) and field name, or per
+// `cacheKey` when fields set one to share them, and then per dependency
+// values. Loaders created inline still hit the cache, and fields with the
+// same name in different forms don't see each other's options.
+let formCaches = new WeakMap();
+const keyedCaches = new Map();
+
+const mapIn = (maps, key) => {
+  if (!maps.has(key)) maps.set(key, new Map());
+  return maps.get(key);
+};
+
+const cacheOf = (field, control) =>
+  field.cacheKey
+    ? mapIn(keyedCaches, field.cacheKey)
+    : mapIn(mapIn(formCaches, control), field.name);
+
+export const clearOptionsCache = () => {
+  formCaches = new WeakMap();
+  keyedCaches.clear();
+};
+
+const NO_DEPENDENCIES = [];
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Resolves a field's options: static `options` are returned as they are,
+// `loadOptions({ values, signal })` is called again whenever one of the
+// `dependsOn` fields changes. While a dependency is blank nothing is loaded.
+export default function useFieldOptions(field, { name, control, setValue }) {
+  const dependsOn = field.dependsOn || NO_DEPENDENCIES;
+  const dependencyValues = useWatch({ control, name: dependsOn });
+  const dependencyKey = JSON.stringify(field.loadOptions ? dependencyValues : []);
+  const { cacheKey } = field;
+
+  const [state, setState] = useState({ status: "idle", options: [] });
+  const [attempt, setAttempt] = useState(0);
+
+  // The effect reads the latest config through a ref so inline configs
+  // don't trigger a reload on every render; the dependency values capture
+  // what matters.
+  const latest = useRef();
+  latest.current = { field, dependsOn, name, control, setValue };
+
+  const previousKey = useRef(dependencyKey);
+  useEffect(() => {
+    if (previousKey.current === dependencyKey) return;
+    const wasBlank = JSON.parse(previousKey.current).every(isBlank);
+    previousKey.current = dependencyKey;
+    // A province picked for the old country is meaningless for the new one.
+    // Dependencies filled in from blank (first pick, restored values) keep it.
+    if (wasBlank) return;
+    const { field: current, name: fieldName, setValue: set } = latest.current;
+    set(fieldName, current.type === "radio" ? null : "");
+  }, [dependencyKey]);
+
+  useEffect(() => {
+    const { field: current, dependsOn: dependencies, control: form } = latest.current;
+    if (!current.loadOptions) return;
+
+    const parsed = JSON.parse(dependencyKey);
+    const values = dependencies.reduce((result, dependency, index) => {
+      result[dependency] = parsed[index];
+      return result;
+    }, {});
+
+    if (dependencies.some((dependency) => isBlank(values[dependency]))) {
+      setState({ status: "idle", options: [] });
+      return;
+    }
+
+    const cache = current.cache === false ? null : cacheOf(current, form);
+    if (cache?.has(dependencyKey)) {
+      setState({ status: "ready", options: cache.get(dependencyKey) });
+      return;
+    }
+
+    const controller = new AbortController();
+    setState({ status: "loading", options: [] });
+
+    Promise.resolve(current.loadOptions({ values, signal: controller.signal }))
+      .then((options) => {
+        if (controller.signal.aborted) return;
+        cache?.set(dependencyKey, options);
+        setState({ status: "ready", options });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setState({ status: "error", options: [], error });
+      });
+
+    return () => controller.abort();
+  }, [cacheKey, dependencyKey, attempt]);
+
+  if (!field.loadOptions) {
+    return { status: "ready", options: field.options || [], retry: () => {} };
+  }
+
+  return { ...state, retry: () => setAttempt((count) => count + 1) };
+}
@@ -0,0 +1,107 @@
+// Browser-side lead attribution: where a visitor came from, kept as the
+// first touch (the visit that brought them the first time) and the last
+// touch (the latest visit from a campaign or another site). Stored in
+// localStorage, so it survives across pages and visits.
+
+export const ATTRIBUTION_PARAMS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "gclid",
+  "fbclid",
+];
+
+// Every key a touch can have, in a stable order.
+export const TOUCH_KEYS = [...ATTRIBUTION_PARAMS, "referrer", "landing_page", "captured_at"];
+
+const STORAGE_KEY = "attribution";
+
+// This long after the last touch, attribution starts over, so an old
+// campaign doesn't take the credit forever.
+const MAX_AGE_DAYS = 90;
+
+const browserStorage = () => {
+  try {
+    return typeof window === "undefined" ? null : window.localStorage;
+  } catch {
+    // Storage can be disabled, e.g. with all cookies blocked.
+    return null;
+  }
+};
+
+const readStored = (storage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(STORAGE_KEY));
+    return stored?.first && stored?.last ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+const externalReferrer = (referrer, location) => {
+  if (!referrer) return "";
+  try {
+    return new URL(referrer).host === location.host ? "" : referrer;
+  } catch {
+    return "";
+  }
+};
+
+// The touch of the current page view. Only campaign parameters and external
+// referrers are kept: moving between pages of the site isn't a touch.
+export const readTouch = ({ location, referrer, now = new Date() }) => {
+  const params = new URLSearchParams(location.search);
+  const touch = {};
+  ATTRIBUTION_PARAMS.forEach((param) => {
+    const value = params.get(param);
+    if (value) touch[param] = value;
+  });
+  const external = externalReferrer(referrer, location);
+  if (external) touch.referrer = external;
+  touch.landing_page = `${location.origin}${location.pathname}`;
+  touch.captured_at = now.toISOString();
+  return touch;
+};
+
+const isCampaignTouch = (touch) =>
+  ATTRIBUTION_PARAMS.some((param) => touch[param]) || Boolean(touch.referrer);
+
+// Records the current page view and returns { first, last }. The first
+// visit sets both; later visits only replace `last`, and only when they come
+// from a campaign or another site. Meant to run on every page load, see
+// components/AttributionTracker.jsx.
+export const captureAttribution = ({
+  storage = browserStorage(),
+  location = window.location,
+  referrer = document.referrer,
+  now = new Date(),
+} = {}) => {
+  const touch = readTouch({ location, referrer, now });
+  if (!storage) return { first: touch, last: touch };
+
+  const stored = readStored(storage);
+  const expired =
+    stored && now - new Date(stored.last.captured_at) > MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  let attribution = stored;
+  if (!stored || expired) {
+    attribution = { first: touch, last: touch };
+  } else if (isCampaignTouch(touch)) {
+    attribution = { ...stored, last: touch };
+  }
+
+  if (attribution !== stored) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(attribution));
+    } catch {
+      // A full or read-only storage only costs the attribution.
+    }
+  }
+  return attribution;
+};
+
+// The stored { first, last }, or null when nothing was captured yet.
+export const getAttribution = ({ storage = browserStorage() } = {}) =>
+  storage ? readStored(storage) : null;
@@ -0,0 +1,88 @@
+// Server-side client of the CRM web services. The credentials come from the
+// environment and must never be imported into client components.
+
+const readConfig = () => {
+  const {
+    CRM_BASE_URL = "https://crm.careholding.it/ws",
+    CRM_APP_ID,
+    CRM_APP_SECRET,
+  } = process.env;
+  if (!CRM_APP_ID || !CRM_APP_SECRET) {
+    throw new Error("CRM_APP_ID and CRM_APP_SECRET must be set to reach the CRM");
+  }
+  return { baseUrl: CRM_BASE_URL, appId: CRM_APP_ID, appSecret: CRM_APP_SECRET };
+};
+
+// The CRM doesn't say how long a token lives, so it is reused for
+// CRM_TOKEN_TTL seconds (default 15 minutes) and replaced earlier when the
+// CRM rejects it.
+const DEFAULT_TOKEN_TTL = 15 * 60;
+
+let cachedToken = null;
+
+const requestToken = async () => {
+  const { baseUrl, appId, appSecret } = readConfig();
+  const response = await fetch(`${baseUrl}/auth/`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", AppId: appId, AppSecret: appSecret },
+    cache: "no-store",
+  });
+  if (!response.ok) throw new Error(`CRM authentication failed with status ${response.status}`);
+  const { Token } = await response.json();
+  if (!Token) throw new Error("CRM authentication returned no token");
+  return Token;
+};
+
+// Resolves to the cached token, authenticating again once it has expired
+// or when it is the `rejected` one. Concurrent callers share one request,
+// and a failed one isn't cached, so the next call tries again.
+export const getToken = ({ rejected } = {}) => {
+  const now = Date.now();
+  if (cachedToken && cachedToken.expiresAt > now && cachedToken.value !== rejected) {
+    return cachedToken.value;
+  }
+
+  const ttl = Number(process.env.CRM_TOKEN_TTL) || DEFAULT_TOKEN_TTL;
+  const entry = { value: requestToken(), expiresAt: now + ttl * 1000 };
+  cachedToken = entry;
+  entry.value.catch(() => {
+    if (cachedToken === entry) cachedToken = null;
+  });
+  return entry.value;
+};
+
+const post = async (url, token, body) => {
+  const { appId } = readConfig();
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", AppId: appId, Token: token },
+    body: JSON.stringify(body),
+    cache: "no-store",
+  });
+};
+
+// Calls a CRM method, e.g. callCrm("Leads", "SaveLead", 3, lead). `np` is
+// the parameter count the CRM wants in the URL. A 401 means the cached
+// token expired early: the call is retried once with a fresh one.
+export const callCrm = async (category, method, np, body) => {
+  const { baseUrl } = readConfig();
+  const url = `${baseUrl}/Call/?Cat=${category}&met=${method}&np=${np}`;
+
+  const token = getToken();
+  let response = await post(url, await token, body);
+  if (response.status === 401) {
+    response = await post(url, await getToken({ rejected: token }), body);
+  }
+  if (!response.ok) {
+    throw new Error(`CRM ${category}/${method} failed with status ${response.status}`);
+  }
+  return response.json().catch(() => null);
+};
+
+export const saveLead = (lead) => callCrm("Leads", "SaveLead", 3, lead);
+
+// Italy's id among the CRM's countries.
+export const ITALY_ID = 63;
+
+export const getProvinces = (countryId = ITALY_ID) =>
+  callCrm("Geografia", "GetProvince", 1, { IdNazione: countryId });
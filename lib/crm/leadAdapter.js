@@ -0,0 +1,67 @@
+import { TOUCH_KEYS } from "../attribution";
+import { readMappedValue } from "../valueMapping";
+
+// Builds the lead the CRM's SaveLead call expects:
+// { NomeModulo, Provenienza, Dati: [{ Key, Value }] }.
+
+// Dati keys mapped to the form values that fill them, see valueMapping.js.
+// This one matches the fields of ContactForm.
+export const CONTACT_FORM_LEAD_MAPPING = {
+  NomeCognome: "nome_cognome",
+  ZonaProvenienza: "zona_provenienza.formatted",
+  Telefono: "telefono",
+  Email: "email",
+  Options: "interesse",
+  Valutazione: { field: "valutazione", default: 0 },
+  Recensione: "recensione",
+  Messaggio: "free_text",
+  CampoLibero: "textbox",
+  Provincia: "provincia",
+};
+
+// "utm_source" -> "UtmSource"
+const toPascalCase = (key) =>
+  key
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join("");
+
+// Attribution submitted with the values (see lib/attribution.js) becomes
+// FirstTouch* and LastTouch* entries, e.g. LastTouchUtmCampaign. Every key
+// is sent, "" when the touch didn't have it.
+const attributionData = (attribution) =>
+  attribution
+    ? ["first", "last"].flatMap((touch) =>
+        TOUCH_KEYS.map((key) => ({
+          Key: `${toPascalCase(touch)}Touch${toPascalCase(key)}`,
+          Value: attribution[touch]?.[key] ?? "",
+        }))
+      )
+    : [];
+
+export const toLeadPayload = (values, { formName, origin = "", mapping = CONTACT_FORM_LEAD_MAPPING }) => ({
+  NomeModulo: formName,
+  Provenienza: origin,
+  Dati: [
+    ...Object.entries(mapping).map(([key, source]) => ({
+      Key: key,
+      Value: readMappedValue(values, source),
+    })),
+    ...attributionData(values.attribution),
+  ],
+});
+
+// Submit adapter sending the mapped lead to the route handler at `url`,
+// which adds the CRM credentials on the server. Without an `origin`, the
+// route takes it from the IdOrigin cookie.
+export const createCrmLeadAdapter =
+  ({ formName, mapping, origin, url = "/api/leads/" }) =>
+  async (data) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(toLeadPayload(data, { formName, origin, mapping })),
+    });
+    if (!response.ok) throw new Error(`Lead not saved (${response.status})`);
+    return response.json();
+  };
@@ -0,0 +1,28 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+// Form definitions live as <id>.json files in this folder; see the "JSON
+// Form Definitions" section of the README for the format.
+const DEFINITIONS_DIR = path.join(process.cwd(), "lib/json/forms");
+
+// Ids become file names, so anything that could leave the folder is refused.
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+export const listFormDefinitionIds = async () => {
+  const files = await fs.readdir(DEFINITIONS_DIR);
+  return files
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length));
+};
+
+// Resolves to null when there's no definition with that id.
+export const loadFormDefinition = async (id) => {
+  if (!ID_PATTERN.test(id)) return null;
+  try {
+    const source = await fs.readFile(path.join(DEFINITIONS_DIR, `${id}.json`), "utf8");
+    return JSON.parse(source);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
@@ -0,0 +1,28 @@
+// An address as geocoding providers return it and address fields submit it:
+// { street, city, province, postalCode, country, coordinates, formatted },
+// `province` being the two-letter sigla, `country` an ISO code and
+// `coordinates` { lat, lng } or null when unknown (e.g. typed by hand).
+
+export const ADDRESS_PARTS = ["street", "city", "province", "postalCode", "country"];
+
+// "Via Roma 1, 20121 Milano (MI)", with the country only when it isn't Italy.
+export const formatAddress = (address) => {
+  if (!address) return "";
+  const { street, city, province, postalCode, country } = address;
+  const place = [postalCode, city, province && `(${province})`].filter(Boolean).join(" ");
+  return [street, place, country && country !== "IT" ? country : ""].filter(Boolean).join(", ");
+};
+
+// Fills in the missing parts and `formatted`. An address with no part set
+// is null, which is what an empty field holds. Parts are trimmed unless
+// `trim` is false, as while they are being typed.
+export const toAddress = (parts = {}, { trim = true } = {}) => {
+  const address = {};
+  ADDRESS_PARTS.forEach((part) => {
+    const text = String(parts[part] ?? (part === "country" ? "IT" : ""));
+    address[part] = trim ? text.trim() : text;
+  });
+  address.coordinates = parts.coordinates || null;
+  if (ADDRESS_PARTS.every((part) => part === "country" || !address[part].trim())) return null;
+  return { ...address, formatted: formatAddress(address) };
+};
@@ -0,0 +1,19 @@
+import { createOfflineGeocodingProvider } from "./offlineProvider";
+
+// A geocoding provider is { search(query, { limit, signal }) =>
+// Promise<suggestions> }, a suggestion being { id, label, address } with the
+// address built by toAddress (see address.js). The one the route handler
+// uses is chosen with GEOCODING_PROVIDER (default: "offline").
+const providerFactories = {
+  offline: createOfflineGeocodingProvider,
+};
+
+export const registerGeocodingProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+export const getGeocodingProvider = (name = process.env.GEOCODING_PROVIDER || "offline") => {
+  const factory = providerFactories[name];
+  if (!factory) throw new Error(`Unknown geocoding provider "${name}"`);
+  return factory();
+};
@@ -0,0 +1,11 @@
+// Browser side of geocoding: asks the route handler at `url`, which uses the
+// provider configured on the server (see geocodingProvider.js), so API keys
+// never reach the page.
+export const createHttpGeocodingProvider = ({ url = "/api/geocoding/" } = {}) => ({
+  search: async (query, { limit = 5, signal } = {}) => {
+    const params = new URLSearchParams({ q: query, limit: String(limit) });
+    const response = await fetch(`${url}?${params}`, { signal });
+    if (!response.ok) throw new Error(`Address search failed (${response.status})`);
+    return response.json();
+  },
+});
@@ -0,0 +1,59 @@
+import { comuni as allComuni, provinces as allProvinces } from "../json/comuni";
+import { toAddress } from "./address";
+
+// Case- and accent-insensitive text to compare, "Forlì" -> "forli".
+const normalize = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+// Comuni named like `place` come first, then those whose name merely
+// contains it, then those of a province named like it ("Brianza", "MB").
+const rankComune = (comune, province, place) => {
+  const name = normalize(comune.name);
+  if (name.startsWith(place)) return 0;
+  if (name.includes(place)) return 1;
+  if (normalize(comune.province) === place) return 2;
+  if (province && normalize(province.name).includes(place)) return 3;
+  return -1;
+};
+
+// Geocoding from lib/json/comuni.js, with no network. It only knows towns:
+// "Via Roma 1, Milano" searches "Milano" and keeps "Via Roma 1" as the street.
+export const createOfflineGeocodingProvider = ({
+  comuni = allComuni,
+  provinces = allProvinces,
+} = {}) => ({
+  search: async (query, { limit = 5 } = {}) => {
+    const parts = String(query || "").split(",");
+    const place = normalize(parts.pop());
+    const street = parts.join(",").trim();
+    if (!place) return [];
+
+    return comuni
+      .map((comune) => {
+        const province = provinces.find((item) => item.code === comune.province);
+        return { comune, rank: rankComune(comune, province, place) };
+      })
+      .filter(({ rank }) => rank >= 0)
+      .sort((a, b) => a.rank - b.rank || a.comune.name.localeCompare(b.comune.name))
+      .slice(0, limit)
+      .map(({ comune }) => {
+        const address = toAddress({
+          street,
+          city: comune.name,
+          province: comune.province,
+          postalCode: comune.postalCode,
+          country: "IT",
+          coordinates: { lat: comune.lat, lng: comune.lng },
+        });
+        return {
+          id: `${comune.province}-${comune.name}-${street}`,
+          label: address.formatted,
+          address,
+        };
+      });
+  },
+});
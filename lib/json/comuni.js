@@ -0,0 +1,223 @@
+// Offline geocoding data for lib/geocoding/offlineProvider.js: the Italian
+// provinces and their capoluoghi, with a representative postal code and the
+// coordinates of the town centre. Enough for development and tests, not a
+// full list of comuni.
+export const provinces = [
+    { "code": "TO", "name": "Torino", "region": "Piemonte" },
+    { "code": "VC", "name": "Vercelli", "region": "Piemonte" },
+    { "code": "NO", "name": "Novara", "region": "Piemonte" },
+    { "code": "CN", "name": "Cuneo", "region": "Piemonte" },
+    { "code": "AT", "name": "Asti", "region": "Piemonte" },
+    { "code": "AL", "name": "Alessandria", "region": "Piemonte" },
+    { "code": "BI", "name": "Biella", "region": "Piemonte" },
+    { "code": "VB", "name": "Verbano-Cusio-Ossola", "region": "Piemonte" },
+    { "code": "AO", "name": "Aosta", "region": "Valle d'Aosta" },
+    { "code": "MI", "name": "Milano", "region": "Lombardia" },
+    { "code": "BG", "name": "Bergamo", "region": "Lombardia" },
+    { "code": "BS", "name": "Brescia", "region": "Lombardia" },
+    { "code": "CO", "name": "Como", "region": "Lombardia" },
+    { "code": "CR", "name": "Cremona", "region": "Lombardia" },
+    { "code": "LC", "name": "Lecco", "region": "Lombardia" },
+    { "code": "LO", "name": "Lodi", "region": "Lombardia" },
+    { "code": "MN", "name": "Mantova", "region": "Lombardia" },
+    { "code": "MB", "name": "Monza e della Brianza", "region": "Lombardia" },
+    { "code": "PV", "name": "Pavia", "region": "Lombardia" },
+    { "code": "SO", "name": "Sondrio", "region": "Lombardia" },
+    { "code": "VA", "name": "Varese", "region": "Lombardia" },
+    { "code": "TN", "name": "Trento", "region": "Trentino-Alto Adige" },
+    { "code": "BZ", "name": "Bolzano", "region": "Trentino-Alto Adige" },
+    { "code": "VE", "name": "Venezia", "region": "Veneto" },
+    { "code": "VR", "name": "Verona", "region": "Veneto" },
+    { "code": "VI", "name": "Vicenza", "region": "Veneto" },
+    { "code": "PD", "name": "Padova", "region": "Veneto" },
+    { "code": "TV", "name": "Treviso", "region": "Veneto" },
+    { "code": "RO", "name": "Rovigo", "region": "Veneto" },
+    { "code": "BL", "name": "Belluno", "region": "Veneto" },
+    { "code": "TS", "name": "Trieste", "region": "Friuli-Venezia Giulia" },
+    { "code": "UD", "name": "Udine", "region": "Friuli-Venezia Giulia" },
+    { "code": "PN", "name": "Pordenone", "region": "Friuli-Venezia Giulia" },
+    { "code": "GO", "name": "Gorizia", "region": "Friuli-Venezia Giulia" },
+    { "code": "GE", "name": "Genova", "region": "Liguria" },
+    { "code": "SP", "name": "La Spezia", "region": "Liguria" },
+    { "code": "SV", "name": "Savona", "region": "Liguria" },
+    { "code": "IM", "name": "Imperia", "region": "Liguria" },
+    { "code": "BO", "name": "Bologna", "region": "Emilia-Romagna" },
+    { "code": "MO", "name": "Modena", "region": "Emilia-Romagna" },
+    { "code": "PR", "name": "Parma", "region": "Emilia-Romagna" },
+    { "code": "RE", "name": "Reggio nell'Emilia", "region": "Emilia-Romagna" },
+    { "code": "PC", "name": "Piacenza", "region": "Emilia-Romagna" },
+    { "code": "FE", "name": "Ferrara", "region": "Emilia-Romagna" },
+    { "code": "RA", "name": "Ravenna", "region": "Emilia-Romagna" },
+    { "code": "FC", "name": "Forlì-Cesena", "region": "Emilia-Romagna" },
+    { "code": "RN", "name": "Rimini", "region": "Emilia-Romagna" },
+    { "code": "FI", "name": "Firenze", "region": "Toscana" },
+    { "code": "AR", "name": "Arezzo", "region": "Toscana" },
+    { "code": "GR", "name": "Grosseto", "region": "Toscana" },
+    { "code": "LI", "name": "Livorno", "region": "Toscana" },
+    { "code": "LU", "name": "Lucca", "region": "Toscana" },
+    { "code": "MS", "name": "Massa-Carrara", "region": "Toscana" },
+    { "code": "PI", "name": "Pisa", "region": "Toscana" },
+    { "code": "PT", "name": "Pistoia", "region": "Toscana" },
+    { "code": "PO", "name": "Prato", "region": "Toscana" },
+    { "code": "SI", "name": "Siena", "region": "Toscana" },
+    { "code": "PG", "name": "Perugia", "region": "Umbria" },
+    { "code": "TR", "name": "Terni", "region": "Umbria" },
+    { "code": "AN", "name": "Ancona", "region": "Marche" },
+    { "code": "AP", "name": "Ascoli Piceno", "region": "Marche" },
+    { "code": "FM", "name": "Fermo", "region": "Marche" },
+    { "code": "MC", "name": "Macerata", "region": "Marche" },
+    { "code": "PU", "name": "Pesaro e Urbino", "region": "Marche" },
+    { "code": "RM", "name": "Roma", "region": "Lazio" },
+    { "code": "FR", "name": "Frosinone", "region": "Lazio" },
+    { "code": "LT", "name": "Latina", "region": "Lazio" },
+    { "code": "RI", "name": "Rieti", "region": "Lazio" },
+    { "code": "VT", "name": "Viterbo", "region": "Lazio" },
+    { "code": "AQ", "name": "L'Aquila", "region": "Abruzzo" },
+    { "code": "CH", "name": "Chieti", "region": "Abruzzo" },
+    { "code": "PE", "name": "Pescara", "region": "Abruzzo" },
+    { "code": "TE", "name": "Teramo", "region": "Abruzzo" },
+    { "code": "CB", "name": "Campobasso", "region": "Molise" },
+    { "code": "IS", "name": "Isernia", "region": "Molise" },
+    { "code": "NA", "name": "Napoli", "region": "Campania" },
+    { "code": "AV", "name": "Avellino", "region": "Campania" },
+    { "code": "BN", "name": "Benevento", "region": "Campania" },
+    { "code": "CE", "name": "Caserta", "region": "Campania" },
+    { "code": "SA", "name": "Salerno", "region": "Campania" },
+    { "code": "BA", "name": "Bari", "region": "Puglia" },
+    { "code": "BT", "name": "Barletta-Andria-Trani", "region": "Puglia" },
+    { "code": "BR", "name": "Brindisi", "region": "Puglia" },
+    { "code": "FG", "name": "Foggia", "region": "Puglia" },
+    { "code": "LE", "name": "Lecce", "region": "Puglia" },
+    { "code": "TA", "name": "Taranto", "region": "Puglia" },
+    { "code": "PZ", "name": "Potenza", "region": "Basilicata" },
+    { "code": "MT", "name": "Matera", "region": "Basilicata" },
+    { "code": "CZ", "name": "Catanzaro", "region": "Calabria" },
+    { "code": "CS", "name": "Cosenza", "region": "Calabria" },
+    { "code": "KR", "name": "Crotone", "region": "Calabria" },
+    { "code": "RC", "name": "Reggio Calabria", "region": "Calabria" },
+    { "code": "VV", "name": "Vibo Valentia", "region": "Calabria" },
+    { "code": "PA", "name": "Palermo", "region": "Sicilia" },
+    { "code": "AG", "name": "Agrigento", "region": "Sicilia" },
+    { "code": "CL", "name": "Caltanissetta", "region": "Sicilia" },
+    { "code": "CT", "name": "Catania", "region": "Sicilia" },
+    { "code": "EN", "name": "Enna", "region": "Sicilia" },
+    { "code": "ME", "name": "Messina", "region": "Sicilia" },
+    { "code": "RG", "name": "Ragusa", "region": "Sicilia" },
+    { "code": "SR", "name": "Siracusa", "region": "Sicilia" },
+    { "code": "TP", "name": "Trapani", "region": "Sicilia" },
+    { "code": "CA", "name": "Cagliari", "region": "Sardegna" },
+    { "code": "SS", "name": "Sassari", "region": "Sardegna" },
+    { "code": "NU", "name": "Nuoro", "region": "Sardegna" },
+    { "code": "OR", "name": "Oristano", "region": "Sardegna" },
+    { "code": "SU", "name": "Sud Sardegna", "region": "Sardegna" }
+];
+
+export const comuni = [
+    { "name": "Torino", "province": "TO", "postalCode": "10121", "lat": 45.0703, "lng": 7.6869 },
+    { "name": "Vercelli", "province": "VC", "postalCode": "13100", "lat": 45.3202, "lng": 8.4185 },
+    { "name": "Novara", "province": "NO", "postalCode": "28100", "lat": 45.4469, "lng": 8.6222 },
+    { "name": "Cuneo", "province": "CN", "postalCode": "12100", "lat": 44.3845, "lng": 7.5427 },
+    { "name": "Asti", "province": "AT", "postalCode": "14100", "lat": 44.9008, "lng": 8.2065 },
+    { "name": "Alessandria", "province": "AL", "postalCode": "15121", "lat": 44.9125, "lng": 8.6153 },
+    { "name": "Biella", "province": "BI", "postalCode": "13900", "lat": 45.5663, "lng": 8.0533 },
+    { "name": "Verbania", "province": "VB", "postalCode": "28921", "lat": 45.9214, "lng": 8.5519 },
+    { "name": "Aosta", "province": "AO", "postalCode": "11100", "lat": 45.7370, "lng": 7.3206 },
+    { "name": "Milano", "province": "MI", "postalCode": "20121", "lat": 45.4642, "lng": 9.1900 },
+    { "name": "Bergamo", "province": "BG", "postalCode": "24121", "lat": 45.6983, "lng": 9.6773 },
+    { "name": "Brescia", "province": "BS", "postalCode": "25121", "lat": 45.5416, "lng": 10.2118 },
+    { "name": "Como", "province": "CO", "postalCode": "22100", "lat": 45.8081, "lng": 9.0852 },
+    { "name": "Cremona", "province": "CR", "postalCode": "26100", "lat": 45.1333, "lng": 10.0227 },
+    { "name": "Lecco", "province": "LC", "postalCode": "23900", "lat": 45.8566, "lng": 9.3977 },
+    { "name": "Lodi", "province": "LO", "postalCode": "26900", "lat": 45.3097, "lng": 9.5037 },
+    { "name": "Mantova", "province": "MN", "postalCode": "46100", "lat": 45.1564, "lng": 10.7914 },
+    { "name": "Monza", "province": "MB", "postalCode": "20900", "lat": 45.5845, "lng": 9.2744 },
+    { "name": "Pavia", "province": "PV", "postalCode": "27100", "lat": 45.1847, "lng": 9.1582 },
+    { "name": "Sondrio", "province": "SO", "postalCode": "23100", "lat": 46.1699, "lng": 9.8715 },
+    { "name": "Varese", "province": "VA", "postalCode": "21100", "lat": 45.8206, "lng": 8.8251 },
+    { "name": "Trento", "province": "TN", "postalCode": "38121", "lat": 46.0748, "lng": 11.1217 },
+    { "name": "Bolzano", "province": "BZ", "postalCode": "39100", "lat": 46.4983, "lng": 11.3548 },
+    { "name": "Venezia", "province": "VE", "postalCode": "30121", "lat": 45.4408, "lng": 12.3155 },
+    { "name": "Verona", "province": "VR", "postalCode": "37121", "lat": 45.4384, "lng": 10.9916 },
+    { "name": "Vicenza", "province": "VI", "postalCode": "36100", "lat": 45.5455, "lng": 11.5354 },
+    { "name": "Padova", "province": "PD", "postalCode": "35121", "lat": 45.4064, "lng": 11.8768 },
+    { "name": "Treviso", "province": "TV", "postalCode": "31100", "lat": 45.6669, "lng": 12.2430 },
+    { "name": "Rovigo", "province": "RO", "postalCode": "45100", "lat": 45.0698, "lng": 11.7902 },
+    { "name": "Belluno", "province": "BL", "postalCode": "32100", "lat": 46.1425, "lng": 12.2167 },
+    { "name": "Trieste", "province": "TS", "postalCode": "34121", "lat": 45.6495, "lng": 13.7768 },
+    { "name": "Udine", "province": "UD", "postalCode": "33100", "lat": 46.0711, "lng": 13.2346 },
+    { "name": "Pordenone", "province": "PN", "postalCode": "33170", "lat": 45.9569, "lng": 12.6605 },
+    { "name": "Gorizia", "province": "GO", "postalCode": "34170", "lat": 45.9403, "lng": 13.6216 },
+    { "name": "Genova", "province": "GE", "postalCode": "16121", "lat": 44.4056, "lng": 8.9463 },
+    { "name": "La Spezia", "province": "SP", "postalCode": "19121", "lat": 44.1025, "lng": 9.8241 },
+    { "name": "Savona", "province": "SV", "postalCode": "17100", "lat": 44.3091, "lng": 8.4772 },
+    { "name": "Imperia", "province": "IM", "postalCode": "18100", "lat": 43.8896, "lng": 8.0393 },
+    { "name": "Bologna", "province": "BO", "postalCode": "40121", "lat": 44.4949, "lng": 11.3426 },
+    { "name": "Modena", "province": "MO", "postalCode": "41121", "lat": 44.6471, "lng": 10.9252 },
+    { "name": "Parma", "province": "PR", "postalCode": "43121", "lat": 44.8015, "lng": 10.3279 },
+    { "name": "Reggio nell'Emilia", "province": "RE", "postalCode": "42121", "lat": 44.6989, "lng": 10.6297 },
+    { "name": "Piacenza", "province": "PC", "postalCode": "29121", "lat": 45.0526, "lng": 9.6930 },
+    { "name": "Ferrara", "province": "FE", "postalCode": "44121", "lat": 44.8381, "lng": 11.6198 },
+    { "name": "Ravenna", "province": "RA", "postalCode": "48121", "lat": 44.4184, "lng": 12.2035 },
+    { "name": "Forlì", "province": "FC", "postalCode": "47121", "lat": 44.2227, "lng": 12.0407 },
+    { "name": "Rimini", "province": "RN", "postalCode": "47921", "lat": 44.0678, "lng": 12.5695 },
+    { "name": "Firenze", "province": "FI", "postalCode": "50121", "lat": 43.7696, "lng": 11.2558 },
+    { "name": "Arezzo", "province": "AR", "postalCode": "52100", "lat": 43.4633, "lng": 11.8796 },
+    { "name": "Grosseto", "province": "GR", "postalCode": "58100", "lat": 42.7635, "lng": 11.1124 },
+    { "name": "Livorno", "province": "LI", "postalCode": "57121", "lat": 43.5485, "lng": 10.3106 },
+    { "name": "Lucca", "province": "LU", "postalCode": "55100", "lat": 43.8429, "lng": 10.5027 },
+    { "name": "Massa", "province": "MS", "postalCode": "54100", "lat": 44.0354, "lng": 10.1393 },
+    { "name": "Pisa", "province": "PI", "postalCode": "56121", "lat": 43.7228, "lng": 10.4017 },
+    { "name": "Pistoia", "province": "PT", "postalCode": "51100", "lat": 43.9336, "lng": 10.9173 },
+    { "name": "Prato", "province": "PO", "postalCode": "59100", "lat": 43.8777, "lng": 11.1022 },
+    { "name": "Siena", "province": "SI", "postalCode": "53100", "lat": 43.3188, "lng": 11.3308 },
+    { "name": "Perugia", "province": "PG", "postalCode": "06121", "lat": 43.1107, "lng": 12.3908 },
+    { "name": "Terni", "province": "TR", "postalCode": "05100", "lat": 42.5636, "lng": 12.6427 },
+    { "name": "Ancona", "province": "AN", "postalCode": "60121", "lat": 43.6158, "lng": 13.5189 },
+    { "name": "Ascoli Piceno", "province": "AP", "postalCode": "63100", "lat": 42.8538, "lng": 13.5750 },
+    { "name": "Fermo", "province": "FM", "postalCode": "63900", "lat": 43.1604, "lng": 13.7181 },
+    { "name": "Macerata", "province": "MC", "postalCode": "62100", "lat": 43.3007, "lng": 13.4532 },
+    { "name": "Pesaro", "province": "PU", "postalCode": "61121", "lat": 43.9098, "lng": 12.9131 },
+    { "name": "Roma", "province": "RM", "postalCode": "00185", "lat": 41.9028, "lng": 12.4964 },
+    { "name": "Frosinone", "province": "FR", "postalCode": "03100", "lat": 41.6396, "lng": 13.3511 },
+    { "name": "Latina", "province": "LT", "postalCode": "04100", "lat": 41.4676, "lng": 12.9037 },
+    { "name": "Rieti", "province": "RI", "postalCode": "02100", "lat": 42.4040, "lng": 12.8624 },
+    { "name": "Viterbo", "province": "VT", "postalCode": "01100", "lat": 42.4207, "lng": 12.1077 },
+    { "name": "L'Aquila", "province": "AQ", "postalCode": "67100", "lat": 42.3498, "lng": 13.3995 },
+    { "name": "Chieti", "province": "CH", "postalCode": "66100", "lat": 42.3512, "lng": 14.1675 },
+    { "name": "Pescara", "province": "PE", "postalCode": "65121", "lat": 42.4618, "lng": 14.2161 },
+    { "name": "Teramo", "province": "TE", "postalCode": "64100", "lat": 42.6589, "lng": 13.7044 },
+    { "name": "Campobasso", "province": "CB", "postalCode": "86100", "lat": 41.5603, "lng": 14.6627 },
+    { "name": "Isernia", "province": "IS", "postalCode": "86170", "lat": 41.5936, "lng": 14.2331 },
+    { "name": "Napoli", "province": "NA", "postalCode": "80121", "lat": 40.8518, "lng": 14.2681 },
+    { "name": "Avellino", "province": "AV", "postalCode": "83100", "lat": 40.9146, "lng": 14.7906 },
+    { "name": "Benevento", "province": "BN", "postalCode": "82100", "lat": 41.1298, "lng": 14.7826 },
+    { "name": "Caserta", "province": "CE", "postalCode": "81100", "lat": 41.0742, "lng": 14.3328 },
+    { "name": "Salerno", "province": "SA", "postalCode": "84121", "lat": 40.6824, "lng": 14.7681 },
+    { "name": "Bari", "province": "BA", "postalCode": "70121", "lat": 41.1171, "lng": 16.8719 },
+    { "name": "Barletta", "province": "BT", "postalCode": "76121", "lat": 41.3196, "lng": 16.2838 },
+    { "name": "Brindisi", "province": "BR", "postalCode": "72100", "lat": 40.6327, "lng": 17.9418 },
+    { "name": "Foggia", "province": "FG", "postalCode": "71121", "lat": 41.4622, "lng": 15.5446 },
+    { "name": "Lecce", "province": "LE", "postalCode": "73100", "lat": 40.3515, "lng": 18.1750 },
+    { "name": "Taranto", "province": "TA", "postalCode": "74121", "lat": 40.4644, "lng": 17.2470 },
+    { "name": "Potenza", "province": "PZ", "postalCode": "85100", "lat": 40.6404, "lng": 15.8056 },
+    { "name": "Matera", "province": "MT", "postalCode": "75100", "lat": 40.6664, "lng": 16.6043 },
+    { "name": "Catanzaro", "province": "CZ", "postalCode": "88100", "lat": 38.9098, "lng": 16.5877 },
+    { "name": "Cosenza", "province": "CS", "postalCode": "87100", "lat": 39.2983, "lng": 16.2538 },
+    { "name": "Crotone", "province": "KR", "postalCode": "88900", "lat": 39.0808, "lng": 17.1271 },
+    { "name": "Reggio di Calabria", "province": "RC", "postalCode": "89121", "lat": 38.1113, "lng": 15.6473 },
+    { "name": "Vibo Valentia", "province": "VV", "postalCode": "89900", "lat": 38.6762, "lng": 16.1015 },
+    { "name": "Palermo", "province": "PA", "postalCode": "90121", "lat": 38.1157, "lng": 13.3615 },
+    { "name": "Agrigento", "province": "AG", "postalCode": "92100", "lat": 37.3111, "lng": 13.5765 },
+    { "name": "Caltanissetta", "province": "CL", "postalCode": "93100", "lat": 37.4902, "lng": 14.0629 },
+    { "name": "Catania", "province": "CT", "postalCode": "95121", "lat": 37.5079, "lng": 15.0830 },
+    { "name": "Enna", "province": "EN", "postalCode": "94100", "lat": 37.5671, "lng": 14.2795 },
+    { "name": "Messina", "province": "ME", "postalCode": "98121", "lat": 38.1938, "lng": 15.5540 },
+    { "name": "Ragusa", "province": "RG", "postalCode": "97100", "lat": 36.9269, "lng": 14.7255 },
+    { "name": "Siracusa", "province": "SR", "postalCode": "96100", "lat": 37.0755, "lng": 15.2866 },
+    { "name": "Trapani", "province": "TP", "postalCode": "91100", "lat": 38.0176, "lng": 12.5365 },
+    { "name": "Cagliari", "province": "CA", "postalCode": "09121", "lat": 39.2238, "lng": 9.1217 },
+    { "name": "Sassari", "province": "SS", "postalCode": "07100", "lat": 40.7259, "lng": 8.5557 },
+    { "name": "Nuoro", "province": "NU", "postalCode": "08100", "lat": 40.3209, "lng": 9.3297 },
+    { "name": "Oristano", "province": "OR", "postalCode": "09170", "lat": 39.9062, "lng": 8.5884 },
+    { "name": "Carbonia", "province": "SU", "postalCode": "09013", "lat": 39.1672, "lng": 8.5222 }
+];
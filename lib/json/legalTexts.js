@@ -0,0 +1,26 @@
+// PLACEHOLDERS: these are not legal texts. Replace each one with the wording
+// approved by the legal team, as a new version, before the forms go live.
+export const legalTexts = [
+    {
+      "id": "privacy",
+      "title": "[Segnaposto] Informativa sul trattamento dei dati personali",
+      "versions": [
+        {
+          "version": "1",
+          "date": "2024-09-01",
+          "content": "<p><strong>Testo segnaposto.</strong> Qui va l’informativa privacy approvata dall’ufficio legale, ai sensi dell’art. 13 del Regolamento UE 2016/679.</p><p>Questo testo non è un’informativa valida e non deve essere pubblicato.</p>"
+        }
+      ]
+    },
+    {
+      "id": "newsletter",
+      "title": "[Segnaposto] Consenso all’invio della newsletter",
+      "versions": [
+        {
+          "version": "1",
+          "date": "2024-09-01",
+          "content": "<p><strong>Testo segnaposto.</strong> Qui va il testo del consenso al marketing approvato dall’ufficio legale.</p><p>Questo testo non è un consenso valido e non deve essere pubblicato.</p>"
+        }
+      ]
+    }
+];
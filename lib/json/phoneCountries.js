@@ -0,0 +1,25 @@
+// National significant numbers: `lengths` is the [min, max] digit count
+// after the dial code, `trunkPrefix` the digit dialled before national
+// numbers that E.164 drops, and `groups` how the digits are spaced out.
+export const phoneCountries = [
+    { "code": "IT", "dialCode": "39", "lengths": [6, 11], "groups": [3, 3, 4] },
+    { "code": "SM", "dialCode": "378", "lengths": [6, 10], "groups": [4, 6] },
+    { "code": "CH", "dialCode": "41", "trunkPrefix": "0", "lengths": [9, 9], "groups": [2, 3, 2, 2] },
+    { "code": "FR", "dialCode": "33", "trunkPrefix": "0", "lengths": [9, 9], "groups": [1, 2, 2, 2, 2] },
+    { "code": "DE", "dialCode": "49", "trunkPrefix": "0", "lengths": [6, 13], "groups": [3, 4, 6] },
+    { "code": "AT", "dialCode": "43", "trunkPrefix": "0", "lengths": [4, 13], "groups": [3, 7] },
+    { "code": "ES", "dialCode": "34", "lengths": [9, 9], "groups": [3, 3, 3] },
+    { "code": "PT", "dialCode": "351", "lengths": [9, 9], "groups": [3, 3, 3] },
+    { "code": "GB", "dialCode": "44", "trunkPrefix": "0", "lengths": [9, 10], "groups": [4, 6] },
+    { "code": "IE", "dialCode": "353", "trunkPrefix": "0", "lengths": [7, 9], "groups": [2, 3, 4] },
+    { "code": "BE", "dialCode": "32", "trunkPrefix": "0", "lengths": [8, 9], "groups": [3, 2, 2, 2] },
+    { "code": "NL", "dialCode": "31", "trunkPrefix": "0", "lengths": [9, 9], "groups": [1, 4, 4] },
+    { "code": "LU", "dialCode": "352", "lengths": [4, 11], "groups": [3, 3, 3] },
+    { "code": "PL", "dialCode": "48", "lengths": [9, 9], "groups": [3, 3, 3] },
+    { "code": "RO", "dialCode": "40", "trunkPrefix": "0", "lengths": [9, 9], "groups": [3, 3, 3] },
+    { "code": "AL", "dialCode": "355", "trunkPrefix": "0", "lengths": [8, 9], "groups": [2, 3, 4] },
+    { "code": "MA", "dialCode": "212", "trunkPrefix": "0", "lengths": [9, 9], "groups": [3, 2, 2, 2] },
+    { "code": "US", "dialCode": "1", "trunkPrefix": "1", "lengths": [10, 10], "groups": [3, 3, 4] },
+    { "code": "BR", "dialCode": "55", "trunkPrefix": "0", "lengths": [10, 11], "groups": [2, 5, 4] },
+    { "code": "AR", "dialCode": "54", "trunkPrefix": "0", "lengths": [10, 10], "groups": [2, 4, 4] }
+];
@@ -0,0 +1,32 @@
+import { legalTexts } from "./json/legalTexts";
+
+// Legal texts are versioned: a new wording is added as a new version rather
+// than edited in place, so an accepted version can always be shown again.
+// Versions are listed oldest first.
+
+export const listLegalTexts = () => legalTexts.map(({ id, title }) => ({ id, title }));
+
+// Returns { id, title, version, date, content } for the given version of a
+// text, or its latest one. Unknown texts or versions give null.
+export const getLegalText = (id, version) => {
+  const text = legalTexts.find((item) => item.id === id);
+  if (!text) return null;
+  const entry =
+    version === undefined
+      ? text.versions[text.versions.length - 1]
+      : text.versions.find((item) => item.version === String(version));
+  return entry ? { id: text.id, title: text.title, ...entry } : null;
+};
+
+// What a consent field submits once its text was accepted.
+export const acceptLegalText = (text, acceptedAt = new Date()) => ({
+  accepted: true,
+  text: text.id,
+  version: text.version,
+  acceptedAt: acceptedAt.toISOString(),
+});
+
+// True when `consent` accepts exactly this version of the text; consents
+// given to an older wording have to be given again.
+export const isAcceptedLegalText = (consent, text) =>
+  Boolean(consent?.accepted && text && consent.text === text.id && consent.version === text.version);
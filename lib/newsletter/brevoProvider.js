@@ -0,0 +1,73 @@
+// Newsletter provider backed by Brevo's contacts API. Server-side only: the
+// API key comes from the environment.
+
+const BREVO_API_URL = "https://api.brevo.com/v3";
+
+const brevoError = async (response, action) => {
+  const body = await response.json().catch(() => null);
+  return new Error(
+    `Brevo ${action} failed with status ${response.status}${body?.message ? `: ${body.message}` : ""}`
+  );
+};
+
+export const createBrevoProvider = ({
+  apiKey = process.env.BREVO_API_KEY,
+  doubleOptInTemplateId = process.env.BREVO_DOI_TEMPLATE_ID,
+  doubleOptInRedirectUrl = process.env.BREVO_DOI_REDIRECT_URL,
+} = {}) => {
+  const request = (path, { method = "GET", body } = {}) => {
+    if (!apiKey) throw new Error("BREVO_API_KEY must be set to subscribe contacts");
+    return fetch(`${BREVO_API_URL}${path}`, {
+      method,
+      headers: { "api-key": apiKey, "Content-Type": "application/json", Accept: "application/json" },
+      body: body && JSON.stringify(body),
+      cache: "no-store",
+    });
+  };
+
+  const findContact = async (email) => {
+    const response = await request(`/contacts/${encodeURIComponent(email)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw await brevoError(response, "contact lookup");
+    return response.json();
+  };
+
+  return {
+    // Resolves to { status } with "subscribed", "pending" (waiting for the
+    // double opt-in confirmation) or "already-subscribed". Contacts already
+    // in every list are left alone, so submitting twice is harmless.
+    async subscribe({ email, listIds, attributes = {}, doubleOptIn = false }) {
+      const contact = await findContact(email);
+      if (contact && listIds.every((id) => contact.listIds?.includes(id))) {
+        return { status: "already-subscribed" };
+      }
+
+      if (doubleOptIn) {
+        if (!doubleOptInTemplateId || !doubleOptInRedirectUrl) {
+          throw new Error("BREVO_DOI_TEMPLATE_ID and BREVO_DOI_REDIRECT_URL must be set for double opt-in");
+        }
+        const response = await request("/contacts/doubleOptinConfirmation", {
+          method: "POST",
+          body: {
+            email,
+            attributes,
+            includeListIds: listIds,
+            templateId: Number(doubleOptInTemplateId),
+            redirectionUrl: doubleOptInRedirectUrl,
+          },
+        });
+        if (!response.ok) throw await brevoError(response, "double opt-in");
+        return { status: "pending" };
+      }
+
+      // With updateEnabled an existing contact is updated and added to the
+      // lists instead of failing as a duplicate.
+      const response = await request("/contacts", {
+        method: "POST",
+        body: { email, attributes, listIds, updateEnabled: true },
+      });
+      if (!response.ok) throw await brevoError(response, "subscription");
+      return { status: "subscribed" };
+    },
+  };
+};
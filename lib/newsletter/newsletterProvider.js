@@ -0,0 +1,50 @@
+import { createBrevoProvider } from "./brevoProvider";
+
+// A newsletter provider is { subscribe(subscription) => Promise<{ status }> },
+// a subscription being { email, listIds, attributes, doubleOptIn }. The one
+// used is chosen with NEWSLETTER_PROVIDER (default: "brevo").
+const providerFactories = {
+  brevo: createBrevoProvider,
+};
+
+export const registerNewsletterProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+export const getNewsletterProvider = (name = process.env.NEWSLETTER_PROVIDER || "brevo") => {
+  const factory = providerFactories[name];
+  if (!factory) throw new Error(`Unknown newsletter provider "${name}"`);
+  return factory();
+};
+
+// What the browser may not decide: the lists it may subscribe to
+// (NEWSLETTER_LIST_IDS, comma separated; none when unset) and whether a
+// confirmation email comes first (NEWSLETTER_DOUBLE_OPT_IN=true).
+export const getNewsletterPolicy = () => ({
+  listIds: (process.env.NEWSLETTER_LIST_IDS || "")
+    .split(",")
+    .map((id) => Number(id.trim()))
+    .filter((id) => Number.isInteger(id) && id > 0),
+  doubleOptIn: process.env.NEWSLETTER_DOUBLE_OPT_IN === "true",
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isAttributeValue = (value) => ["string", "number", "boolean"].includes(typeof value);
+
+// Checks a subscription received from the browser. Returns
+// { email, listIds, attributes } with its defaults filled in, or null when it
+// is malformed. Anything else it holds, such as a doubleOptIn, is dropped.
+export const parseSubscription = (body) => {
+  const { email, listIds, attributes = {} } = body || {};
+  const valid =
+    typeof email === "string" &&
+    EMAIL_PATTERN.test(email) &&
+    Array.isArray(listIds) &&
+    listIds.length > 0 &&
+    listIds.every((id) => Number.isInteger(id) && id > 0) &&
+    typeof attributes === "object" &&
+    attributes !== null &&
+    Object.values(attributes).every(isAttributeValue);
+  return valid ? { email, listIds, attributes } : null;
+};
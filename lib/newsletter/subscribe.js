@@ -0,0 +1,11 @@
+// Browser side of the newsletter: sends a subscription to the route handler
+// at `url`, which passes it to the configured provider.
+export const subscribeToNewsletter = async (subscription, { url = "/api/newsletter/" } = {}) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(subscription),
+  });
+  if (!response.ok) throw new Error(`Newsletter subscription failed (${response.status})`);
+  return response.json();
+};
@@ -0,0 +1,100 @@
+import { phoneCountries } from "./json/phoneCountries";
+
+// Phone numbers as the country in lib/json/phoneCountries.js plus the
+// national significant number (digits only, no trunk prefix). Values leave
+// the form in E.164, e.g. "+393471234567".
+
+export const DEFAULT_PHONE_COUNTRY = "IT";
+
+export const listPhoneCountries = () => phoneCountries;
+
+export const getPhoneCountry = (code) =>
+  phoneCountries.find((country) => country.code === code) || null;
+
+// What a phone field offers: the bundled countries its `countries` codes
+// name, in that order (all of them by default), and the one selected at
+// first, its `defaultCountry` when offered, otherwise the first offered.
+export const resolvePhoneCountries = ({ countries: codes, defaultCountry } = {}) => {
+  const listed = (codes || []).map(getPhoneCountry).filter(Boolean);
+  const countries = listed.length > 0 ? listed : phoneCountries;
+  const code = defaultCountry || DEFAULT_PHONE_COUNTRY;
+  return {
+    countries,
+    defaultCountry: countries.find((country) => country.code === code) || countries[0],
+  };
+};
+
+const digitsOf = (value) => String(value ?? "").replace(/\D/g, "");
+
+// The country whose dial code starts `digits`, trying the longest codes
+// first. Countries sharing a code (+1) resolve to the first listed.
+const countryByDialCode = (digits) =>
+  [...phoneCountries]
+    .sort((a, b) => b.dialCode.length - a.dialCode.length)
+    .find((country) => digits.startsWith(country.dialCode)) || null;
+
+const stripTrunkPrefix = (country, digits) =>
+  country.trunkPrefix && digits.startsWith(country.trunkPrefix)
+    ? digits.slice(country.trunkPrefix.length)
+    : digits;
+
+// Reads what a user typed or pasted. Numbers starting with "+" or "00" pick
+// their own country; anything else is national to `defaultCountry`.
+// Returns { country, nationalNumber }, country being null for unknown dial
+// codes.
+export const parsePhone = (input, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const text = String(input ?? "").trim();
+  const digits = digitsOf(text);
+
+  if (text.startsWith("+") || text.startsWith("00")) {
+    const withoutPrefix = text.startsWith("+") ? digits : digits.slice(2);
+    const country = countryByDialCode(withoutPrefix);
+    return {
+      country,
+      nationalNumber: country ? withoutPrefix.slice(country.dialCode.length) : withoutPrefix,
+    };
+  }
+
+  const country = getPhoneCountry(defaultCountry);
+  return { country, nationalNumber: country ? stripTrunkPrefix(country, digits) : digits };
+};
+
+// Spaces the national number out by the country's groups; digits past the
+// last group stay on it. Works on partial numbers, for formatting as you type.
+export const formatPhone = (nationalNumber, country) => {
+  const digits = digitsOf(nationalNumber);
+  const groups = country?.groups || [];
+  const parts = [];
+  let rest = digits;
+  groups.forEach((size, index) => {
+    if (!rest) return;
+    const take = index === groups.length - 1 ? rest.length : size;
+    parts.push(rest.slice(0, take));
+    rest = rest.slice(take);
+  });
+  if (rest) parts.push(rest);
+  return parts.join(" ");
+};
+
+export const isValidPhoneNumber = (nationalNumber, country) => {
+  if (!country) return false;
+  const [min, max] = country.lengths;
+  const { length } = digitsOf(nationalNumber);
+  return length >= min && length <= max;
+};
+
+// "" for an empty number, so that `required` catches it.
+export const toE164 = (nationalNumber, country) => {
+  const digits = digitsOf(nationalNumber);
+  if (!digits) return "";
+  return country ? `+${country.dialCode}${digits}` : `+${digits}`;
+};
+
+// Checks an E.164 value against its country's lengths and, when given,
+// the country codes allowed.
+export const isValidE164 = (value, countries) => {
+  if (typeof value !== "string" || !/^\+\d+$/.test(value)) return false;
+  const { country, nationalNumber } = parsePhone(value);
+  if (countries && !countries.includes(country?.code)) return false;
+  return isValidPhoneNumber(nationalNumber, country);
+};
@@ -0,0 +1,31 @@
+// Mappings pick form values for an external system (CRM keys, newsletter
+// attributes...). Each source is a field path, an array of paths whose
+// values are joined with spaces, or { field | fields, default }. Blank values
+// give the default, "" unless set; arrays are joined with commas.
+
+const readPath = (values, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), values);
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+export const readMappedValue = (values, source) => {
+  const { field, fields = [field], default: fallback = "" } =
+    typeof source === "string" ? { field: source } : Array.isArray(source) ? { fields: source } : source;
+
+  const parts = fields
+    .map((path) => readPath(values, path))
+    .filter((value) => !isBlank(value))
+    .map((value) => (Array.isArray(value) ? value.join(", ") : value));
+
+  if (parts.length === 0) return fallback;
+  return parts.length === 1 ? parts[0] : parts.join(" ");
+};
+
+// Returns { [key]: value } for every key of the mapping. With `omitBlank`,
+// keys whose value came out "" are left out instead.
+export const mapValues = (values, mapping = {}, { omitBlank = false } = {}) =>
+  Object.entries(mapping).reduce((result, [key, source]) => {
+    const value = readMappedValue(values, source);
+    if (!omitBlank || value !== "") result[key] = value;
+    return result;
+  }, {});